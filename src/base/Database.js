@@ -1,23 +1,52 @@
-const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Readable } = require('stream');
 const yaml = require('js-yaml');
 const path = require('path');
 const zlib = require('zlib');
 const { promisify } = require('util');
 const { DatabaseError } = require('../exceptions/Error');
 const Encryption = require('../helpers/Encryption');
+const SQLParser = require('../helpers/SQLParser');
+const SQLStatement = require('../helpers/SQLStatement');
+const SQLExecutor = require('../helpers/SQLExecutor');
+const QueryBuilder = require('../helpers/QueryBuilder');
+const IndexManager = require('../helpers/IndexManager');
+const Journal = require('../helpers/Journal');
+const ColumnTypes = require('../helpers/ColumnTypes');
+const Identifiers = require('../helpers/Identifiers');
+const Aggregates = require('../helpers/Aggregates');
+const Storage = require('../helpers/Storage');
+const BackupRetention = require('../helpers/BackupRetention');
 const { protectClass, initializeProtection, checkMethodProtection } = require('./protection/Protection');
 const compress = promisify(zlib.deflate);
 const decompress = promisify(zlib.inflate);
-
-class PulseaDB {
+const cloneData = data => JSON.parse(JSON.stringify(data));
+const keyForms = value => {
+    if (typeof value === 'number') return [value, String(value)];
+    if (typeof value === 'string' && value.trim() !== '' && String(Number(value)) === value) return [value, Number(value)];
+    return [value];
+};
+const KEY_CHECK = 'pulsea-key-check';
+const KEY_STRATEGIES = ['timestamp', 'autoIncrement', 'uuid', 'ulid', 'natural'];
+const REFERENTIAL_ACTIONS = ['cascade', 'restrict', 'setNull', 'noAction'];
+const BACKUP_FORMAT = 'pulsea-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_EXTENSION = '.pulsea';
+const WRITE_EVENTS = ['set', 'delete', 'insert', 'update', 'tableCreated', 'tableDropped'];
+
+class PulseaDB extends EventEmitter {
     constructor(options = {}) {
+        super();
         initializeProtection(this);
 
         if (!options.encryption?.secretKey) {
             throw new DatabaseError('Encryption key is required. Please provide it through environment variables.');
         }
 
-        if (options.file) {
+        if (options.file === Storage.MEMORY_FILE) {
+            this.fileFormat = 'json';
+        } else if (options.file) {
             const ext = path.extname(options.file).toLowerCase();
             if (!['.yml', '.yaml', '.json', '.sql'].includes(ext)) {
                 throw new DatabaseError('Invalid file format. Supported formats are: yml, yaml, json, sql');
@@ -33,12 +62,39 @@ class PulseaDB {
         this.autoSave = options.autoSave !== false;
         this.backupIntervalTime = options.backupInterval || 3600000;
         this.maxBackups = options.maxBackups || 5;
+        this.backupRetention = options.backupRetention ? BackupRetention.normalize(options.backupRetention) : null;
+        if (options.backupAfterWrites !== undefined && !(Number.isInteger(options.backupAfterWrites) && options.backupAfterWrites > 0)) {
+            throw new DatabaseError('backupAfterWrites must be a positive integer');
+        }
+        this.backupAfterWrites = options.backupAfterWrites || null;
+        this.writesSinceBackup = 0;
+        this.pendingBackup = null;
         this.backupDir = path.join(this.dir, 'backups');
+        this.backupEncryption = options.backupEncryption?.secretKey ? new Encryption(options.backupEncryption.secretKey) : null;
+        this.backupCompression = options.backupCompression !== false;
         this.data = {};
         this.backupIntervalId = null;
+        this.sweepIntervalTime = options.sweepInterval || 60000;
+        this.sweepIntervalId = null;
         this.fileLock = new Map();
+        this.indexManager = new IndexManager(this);
+        this.columnHooks = new Map();
+        this.configuredColumnHooks = options.columnHooks || {};
+        this.inTransaction = false;
         this.filePath = this.sanitizePath(path.join(this.dir, options.file));
+        this.fileName = this.storageName(this.filePath);
+        this.storage = Storage.create(options.storage, { root: this.dir, file: this.fileName });
+        if (this.storage.formats && !this.storage.formats.includes(this.fileFormat)) {
+            throw new DatabaseError(`Storage does not support the ${this.fileFormat} format. Supported formats are: ${this.storage.formats.join(', ')}`);
+        }
         this.encryption = new Encryption(options.encryption.secretKey);
+        this.journal = options.journal
+            ? new Journal(this.storage, this.storageName(this.sanitizePath(this.filePath + '.journal')), options.journal === true ? {} : options.journal)
+            : null;
+        this.compactIntervalId = null;
+        this.migrations = new Map();
+        this.migrationRun = null;
+        (options.migrations || []).forEach(migration => this.registerMigration(migration));
         this.initialized = this.init().catch(error => {
             this.debug && DatabaseError.info('Failed to initialize database: ' + this.sanitizeErrorMessage(error.message));
             throw error;
@@ -47,6 +103,10 @@ class PulseaDB {
         if (options.enableAutoBackup) {
             this.startAutoBackup();
         }
+
+        if (this.journal?.compactInterval) {
+            this.startAutoCompact();
+        }
     }
 
     sanitizePath(filepath) {
@@ -57,6 +117,12 @@ class PulseaDB {
         return normalized;
     }
 
+    storageName(filepath) {
+        const relative = path.relative(this.dir, path.resolve(this.dir, filepath));
+        if (relative.startsWith('..') || path.isAbsolute(relative)) return path.resolve(filepath);
+        return relative.split(path.sep).join('/');
+    }
+
     sanitizeErrorMessage(message) {
         return message.replace(/\/.*\//, '[PATH]/');
     }
@@ -74,36 +140,82 @@ class PulseaDB {
 
     async init() {
         try {
-            await fs.promises.mkdir(this.dir, { recursive: true });
-            await fs.promises.mkdir(this.backupDir, { recursive: true });
-
-            if (!fs.existsSync(this.filePath)) {
+            if (!await this.storage.stat(this.fileName)) {
                 const emptyContent = this.fileFormat === 'json' ? '{}' : 
                                    this.fileFormat === 'yml' ? '' :
                                    '';
-                await fs.promises.writeFile(this.filePath, emptyContent);
+                await this.storage.write(this.fileName, emptyContent);
             }
 
             await this.load();
+            await this.verifyEncryptionKey();
+            this.applyConfiguredColumnHooks();
+            if (this.hasExpiries()) this.startExpirySweep();
             return true;
         } catch (error) {
             throw new DatabaseError('Failed to initialize database: ' + error.message);
         }
     }
 
+    async verifyEncryptionKey() {
+        const stored = this.data._meta;
+
+        if (!await this.matchesKey(this.data, this.encryption)) {
+            throw new DatabaseError('Encryption key does not match this database');
+        }
+
+        if (!stored?.keyCheck) await this.stampEncryptionKey();
+        return true;
+    }
+
+    async matchesKey(data, encryption) {
+        try {
+            if (data._meta?.keyCheck) {
+                return await this.openValue(data._meta.keyCheck, encryption) === KEY_CHECK;
+            }
+            const sample = this.findEncryptedSample(data);
+            if (sample !== null) await this.openValue(sample, encryption);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async stampEncryptionKey(data = this.data, encryption = this.encryption, keyId = Encryption.createKeyId()) {
+        data._meta = {
+            ...data._meta,
+            keyId,
+            keyCheck: await this.sealValue(KEY_CHECK, encryption)
+        };
+        if (data === this.data) this.recordChange(['_meta']);
+        return data._meta;
+    }
+
+    findEncryptedSample(node) {
+        if (typeof node === 'string') return node;
+        if (node === null || typeof node !== 'object') return null;
+
+        for (const [key, value] of Object.entries(node)) {
+            if (key === '_meta' && value && typeof value === 'object') continue;
+            const sample = this.findEncryptedSample(value);
+            if (sample !== null) return sample;
+        }
+        return null;
+    }
+
     async info() {
         await this.ensureInitialized();
 
-        const stats = await fs.promises.stat(this.filePath);
+        const stats = await this.storage.stat(this.fileName) || { size: 0, mtime: new Date() };
         const fileSizeInBytes = stats.size;
         const fileSizeInKB = (fileSizeInBytes / 1024).toFixed(2);
         const fileSizeInMB = (fileSizeInBytes / (1024 * 1024)).toFixed(2);
         const lastModified = stats.mtime;
         const tables = await this.listTables();
         const totalRecordCount = tables.reduce((sum, table) => sum + table.rowCount, 0);
-        const latestBackup = this.findLatestBackup();
-        const backupCount = fs.readdirSync(this.backupDir)
-            .filter(file => file.startsWith('backup-') && file.endsWith(`.${this.fileFormat}`)).length;
+        const backupList = await this.listBackups();
+        const latestBackup = backupList.length ? backupList[0].path : null;
+        const backupCount = backupList.length;
 
         return {
             databasePath: this.filePath,
@@ -126,7 +238,13 @@ class PulseaDB {
             },
             encryption: {
                 enabled: true,
-                method: 'K9Crypt'
+                method: 'K9Crypt',
+                keyId: this.data._meta?.keyId || null
+            },
+            journal: {
+                enabled: !!this.journal,
+                path: this.journal ? path.resolve(this.dir, this.journal.name) : null,
+                entries: this.journal ? this.journal.size + this.journal.pending.length : 0
             },
             autoSave: this.autoSave,
             debugMode: this.debug
@@ -135,20 +253,29 @@ class PulseaDB {
 
     async load() {
         try {
-            const fileContent = await fs.promises.readFile(this.filePath, 'utf8');
+            const fileContent = await this.storage.read(this.fileName);
             
-            if (fileContent.trim()) {
+            if (fileContent?.trim()) {
                 if (this.fileFormat === 'json') {
                     this.data = JSON.parse(fileContent) || {};
                 } else if (this.fileFormat === 'yml') {
                     this.data = yaml.load(fileContent) || {};
                 } else if (this.fileFormat === 'sql') {
-                    this.data = {};
+                    this.data = new SQLParser(fileContent).parse();
                 }
             } else {
                 this.data = {};
             }
 
+            if (this.journal) {
+                const { entries, torn } = await this.journal.read();
+                for (const entry of entries) {
+                    this.data = Journal.apply(this.data, entry);
+                }
+                this.debug && torn && DatabaseError.info('Discarded a partially written journal entry');
+            }
+
+            this.indexManager.reset();
             this.debug && DatabaseError.info('Database loaded successfully');
             return true;
         } catch (error) {
@@ -162,26 +289,27 @@ class PulseaDB {
 
     async save() {
         await this.ensureInitialized();
-        try {
-            if (!fs.existsSync(this.dir)) {
-                await fs.promises.mkdir(this.dir, { recursive: true });
+        if (this.inTransaction) return true;
+        if (this.journal) {
+            try {
+                await this.acquireLock(this.filePath);
+                try {
+                    await this.journal.flush();
+                } finally {
+                    this.releaseLock(this.filePath);
+                }
+            } catch (error) {
+                throw new DatabaseError('Failed to write journal: ' + this.sanitizeErrorMessage(error.message));
             }
 
+            if (this.journal.needsCompaction()) await this.compact();
+            return true;
+        }
+
+        try {
             await this.acquireLock(this.filePath);
             try {
-                const tempFile = this.filePath + '.tmp';
-                let content = '';
-
-                if (this.fileFormat === 'json') {
-                    content = JSON.stringify(this.data, null, 2);
-                } else if (this.fileFormat === 'yml') {
-                    content = yaml.dump(this.data);
-                } else if (this.fileFormat === 'sql') {
-                    content = await this.generateSQLContent();
-                }
-
-                await fs.promises.writeFile(tempFile, content);
-                await fs.promises.rename(tempFile, this.filePath);
+                await this.writeDataFile();
             } finally {
                 this.releaseLock(this.filePath);
             }
@@ -193,261 +321,852 @@ class PulseaDB {
         }
     }
 
-    async encryptValue(value) {
-        checkMethodProtection(this, 'encryptValue');
+    async writeDataFile() {
+        let content = '';
 
-        try {
-            if (value === null || value === undefined) {
-                return value;
-            }
-            const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
-            const compressedValue = await compress(Buffer.from(stringValue));
-            return await this.encryption.encrypt(compressedValue.toString('base64'));
-        } catch (error) {
-            this.debug && DatabaseError.warn(`Compression/Encryption failed: ${error.message}`);
-            return value;
+        if (this.fileFormat === 'json') {
+            content = JSON.stringify(this.data, null, 2);
+        } else if (this.fileFormat === 'yml') {
+            content = yaml.dump(this.data);
+        } else if (this.fileFormat === 'sql') {
+            content = await this.generateSQLContent();
         }
+
+        await this.storage.atomicReplace(this.fileName, content);
     }
 
-    async decryptValue(value) {
-        checkMethodProtection(this, 'decryptValue');
+    async compact() {
+        await this.ensureInitialized();
+        if (!this.journal) return false;
 
         try {
-            if (!value || typeof value !== 'string') {
-                return value;
-            }
-            const decrypted = await this.encryption.decrypt(value);
-            const decompressedValue = await decompress(Buffer.from(decrypted, 'base64'));
-            const decodedValue = decompressedValue.toString();
-            
+            await this.acquireLock(this.filePath);
             try {
-                return JSON.parse(decodedValue);
-            } catch (e) {
-                return decodedValue;
+                await this.writeDataFile();
+                await this.journal.reset();
+            } finally {
+                this.releaseLock(this.filePath);
             }
+
+            this.debug && DatabaseError.info('Journal compacted successfully');
+            return true;
         } catch (error) {
-            this.debug && DatabaseError.warn(`Decryption/Decompression failed: ${error.message}`);
-            return value;
+            throw new DatabaseError('Failed to compact journal: ' + this.sanitizeErrorMessage(error.message));
         }
     }
 
-    async set(key, value) {
-        await this.ensureInitialized();
-        if (!key) throw new DatabaseError('Key is required');
-        if (typeof key !== 'string') throw new DatabaseError('Key must be a string');
-
-        const [tableName, rowId, ...rest] = key.split('.');
-
-        if (rowId && !rest.length && rowId !== '_meta') {
-            const meta = this.data[tableName]?._meta;
-            if (meta) {
-                await this.validateTableData(tableName, value);
-
-                const encryptedData = {};
-                for (const [field, val] of Object.entries(value)) {
-                    encryptedData[field] = await this.encryptValue(val);
-                }
-
-                if (!this.data[tableName]) {
-                    this.data[tableName] = { _meta: meta };
-                }
-                this.data[tableName][rowId] = encryptedData;
-
-                meta.rowCount = Object.keys(this.data[tableName]).filter(k => k !== '_meta').length;
+    recordChange(path) {
+        if (!this.journal) return;
 
-                if (this.autoSave) await this.save();
-                return value;
+        let current = this.data;
+        for (const key of path) {
+            if (current === null || typeof current !== 'object' || !(key in current)) {
+                current = undefined;
+                break;
             }
+            current = current[key];
         }
 
-        const keys = key.split('.');
-        let current = this.data;
+        this.journal.record(current === undefined ? { op: 'del', path } : { op: 'put', path, value: current });
+    }
 
-        for (let i = 0; i < keys.length - 1; i++) {
-            if (!(keys[i] in current)) {
-                current[keys[i]] = {};
-            }
-            current = current[keys[i]];
-        }
+    startAutoCompact() {
+        this.stopAutoCompact();
+        this.compactIntervalId = setInterval(() => {
+            this.compact().catch(error => {
+                this.debug && DatabaseError.info('Auto compaction failed: ' + error.message);
+            });
+        }, this.journal.compactInterval);
+    }
 
-        const lastKey = keys[keys.length - 1];
-        current[lastKey] = await this.encryptValue(value);
+    stopAutoCompact() {
+        if (this.compactIntervalId) {
+            clearInterval(this.compactIntervalId);
+            this.compactIntervalId = null;
+        }
+    }
 
-        if (this.autoSave) await this.save();
-        return value;
+    async transaction(callback) {
+        if (typeof callback !== 'function') {
+            throw new DatabaseError('Transaction callback must be a function');
+        }
+        return this.runInTransaction(callback, true);
     }
 
-    async get(key, defaultValue = null) {
+    async runInTransaction(callback, forceSave = false) {
         await this.ensureInitialized();
-        if (!key) throw new DatabaseError('Key is required');
-        if (typeof key !== 'string') throw new DatabaseError('Key must be a string');
 
-        const [tableName, rowId, ...rest] = key.split('.');
+        const snapshot = cloneData(this.data);
+        const tx = Object.create(this);
+        initializeProtection(tx);
+        tx.data = cloneData(this.data);
+        tx.autoSave = false;
+        tx.inTransaction = true;
+        tx.journal = null;
+        tx.indexManager = new IndexManager(tx);
 
-        if (rowId && !rest.length) {
-            const meta = this.data[tableName]?._meta;
-            if (meta) {
-                if (rowId === '_meta') {
-                    return meta;
-                }
+        let result;
+        try {
+            result = await callback(tx);
+        } catch (error) {
+            this.debug && DatabaseError.info('Transaction rolled back: ' + error.message);
+            throw error;
+        }
 
-                const encryptedData = this.data[tableName]?.[rowId];
-                if (!encryptedData) return defaultValue;
-                const decryptedData = {};
-                for (const [field, val] of Object.entries(encryptedData)) {
-                    decryptedData[field] = await this.decryptValue(val);
-                }
-                return decryptedData;
-            }
+        const conflict = this.findConflict(snapshot, tx.data);
+        if (conflict !== null) {
+            this.debug && DatabaseError.info('Transaction rolled back: conflicting write to ' + conflict);
+            throw new DatabaseError(`Transaction conflict: '${conflict}' was changed outside the transaction`);
         }
 
-        const keys = key.split('.');
-        let current = this.data;
+        const { undo, changes } = this.applyChanges(snapshot, tx.data);
+        if (!undo.length) return result;
 
-        for (const k of keys) {
-            if (current === undefined || current === null || !(k in current)) {
-                return defaultValue;
+        if (forceSave || this.autoSave) {
+            try {
+                await this.save();
+            } catch (error) {
+                undo.reverse().forEach(revert => revert());
+                this.indexManager.reset();
+                throw error;
             }
-            current = current[k];
         }
 
-        return await this.decryptValue(current);
-    }
-
-    fetch(key, defaultValue = null) {
-        return this.get(key, defaultValue);
+        if (this.hasExpiries()) this.startExpirySweep();
+        this.debug && DatabaseError.info('Transaction committed');
+        for (const { type, ...change } of changes) {
+            await this.emitChange(type, change);
+        }
+        return result;
     }
 
-    has(key) {
-        return this.get(key) !== null;
-    }
+    findConflict(before, after) {
+        const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+        const withoutCounters = meta => meta && { ...meta, rowCount: undefined, autoIncrement: undefined };
 
-    async delete(key) {
-        if (!key) throw new DatabaseError('Key is required');
-        if (typeof key !== 'string') throw new DatabaseError('Key must be a string');
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const oldValue = before[key];
+            const newValue = after[key];
+            const isTable = oldValue?._meta && newValue?._meta && this.data[key]?._meta;
 
-        const keys = key.split('.');
-        let current = this.data;
-        const stack = [];
+            if (!isTable) {
+                if (changed(oldValue, newValue) && changed(oldValue, this.data[key])) return key;
+                continue;
+            }
 
-        for (let i = 0; i < keys.length - 1; i++) {
-            if (!(keys[i] in current)) {
-                return false;
+            for (const rowId of new Set([...Object.keys(oldValue), ...Object.keys(newValue)])) {
+                if (!changed(oldValue[rowId], newValue[rowId])) continue;
+                const live = this.data[key][rowId];
+                const conflicting = rowId === '_meta'
+                    ? changed(withoutCounters(oldValue._meta), withoutCounters(live))
+                    : changed(oldValue[rowId], live);
+                if (conflicting) return `${key}.${rowId}`;
             }
-            stack.push({ obj: current, key: keys[i] });
-            current = current[keys[i]];
         }
+        return null;
+    }
 
-        const deleted = delete current[keys[keys.length - 1]];
+    applyChanges(before, after) {
+        const undo = [];
+        const changes = [];
+        const assign = (target, key, value, path) => {
+            const had = Object.prototype.hasOwnProperty.call(target, key);
+            const previous = target[key];
+            undo.push(() => {
+                if (had) target[key] = previous;
+                else delete target[key];
+            });
+            if (value === undefined) delete target[key];
+            else target[key] = value;
+            this.recordChange(path);
+        };
+        const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const oldValue = before[key];
+            const newValue = after[key];
+            const isTable = oldValue?._meta && newValue?._meta && this.data[key]?._meta;
+
+            if (!isTable) {
+                if (changed(oldValue, newValue)) {
+                    assign(this.data, key, newValue, [key]);
+                    if (oldValue?._meta || newValue?._meta) this.indexManager.invalidate(key);
+                    this.collectChanges(changes, key, oldValue, newValue);
+                }
+                continue;
+            }
 
-        for (let i = stack.length - 1; i >= 0; i--) {
-            const { obj, key } = stack[i];
-            if (Object.keys(obj[key]).length === 0) {
-                delete obj[key];
+            const table = this.data[key];
+            const liveCounter = table._meta.autoIncrement || 0;
+            let tableChanged = false;
+            for (const rowId of new Set([...Object.keys(oldValue), ...Object.keys(newValue)])) {
+                if (!changed(oldValue[rowId], newValue[rowId])) continue;
+                assign(table, rowId, newValue[rowId], [key, rowId]);
+                tableChanged = true;
+
+                if (rowId === '_meta') continue;
+                const previous = oldValue[rowId];
+                const next = newValue[rowId];
+                changes.push({
+                    type: next === undefined ? 'delete' : previous === undefined ? 'insert' : 'update',
+                    key: `${key}.${rowId}`,
+                    table: key,
+                    rowId,
+                    oldValue: () => this.decryptRow(previous),
+                    newValue: () => this.decryptRow(next)
+                });
             }
-        }
 
-        if (this.autoSave) await this.save();
-        return deleted;
-    }
+            if (tableChanged) {
+                const meta = table._meta;
+                const rowCount = Object.keys(table).filter(k => k !== '_meta').length;
+                const autoIncrement = Math.max(meta.autoIncrement || 0, liveCounter);
+                if (meta.rowCount !== rowCount || (meta.autoIncrement || 0) !== autoIncrement) {
+                    assign(table, '_meta', { ...meta, rowCount, ...(autoIncrement ? { autoIncrement } : {}) }, [key, '_meta']);
+                }
+                this.indexManager.invalidate(key);
+            }
+        }
 
-    async clear() {
-        this.data = {};
-        if (this.autoSave) await this.save();
-        return true;
+        return { undo, changes };
     }
 
-    async push(key, value) {
-        if (!key) throw new DatabaseError('Key is required');
-        const arr = await this.get(key, []);
-        if (!Array.isArray(arr)) {
-            throw new DatabaseError('Target is not an array');
+    collectChanges(changes, key, oldValue, newValue) {
+        if (key === '_meta') return;
+        if (oldValue?._meta || newValue?._meta) {
+            if (oldValue?._meta) changes.push({ type: 'tableDropped', key, table: key, oldValue: oldValue._meta });
+            if (newValue?._meta) changes.push({ type: 'tableCreated', key, table: key, newValue: newValue._meta });
+            return;
         }
-        arr.push(value);
-        return this.set(key, arr);
-    }
 
-    async pull(key, value) {
-        if (!key) throw new DatabaseError('Key is required');
-        const arr = await this.get(key);
-        if (!Array.isArray(arr)) {
-            throw new DatabaseError('Target is not an array');
+        const isBranch = value => value !== null && typeof value === 'object';
+        if (isBranch(oldValue) || isBranch(newValue)) {
+            const oldBranch = isBranch(oldValue) ? oldValue : {};
+            const newBranch = isBranch(newValue) ? newValue : {};
+            for (const child of new Set([...Object.keys(oldBranch), ...Object.keys(newBranch)])) {
+                if (JSON.stringify(oldBranch[child]) !== JSON.stringify(newBranch[child])) {
+                    this.collectChanges(changes, `${key}.${child}`, oldBranch[child], newBranch[child]);
+                }
+            }
+            return;
         }
-        const newArr = arr.filter(item => item !== value);
-        return this.set(key, newArr);
+
+        changes.push({
+            type: newValue === undefined ? 'delete' : 'set',
+            key,
+            oldValue: () => this.decryptValue(oldValue),
+            newValue: () => this.decryptValue(newValue)
+        });
     }
 
-    async add(key, value) {
-        if (!key) throw new DatabaseError('Key is required');
-        if (typeof value !== 'number') throw new DatabaseError('Value must be a number');
-        const currentValue = await this.get(key, 0);
-        if (typeof currentValue !== 'number') {
-            throw new DatabaseError('Target is not a number');
+    async emitChange(type, { key = null, table = null, rowId = null, oldValue = null, newValue = null, ...rest } = {}) {
+        if (this.inTransaction) return;
+        if (WRITE_EVENTS.includes(type)) this.countWrite();
+
+        const events = [type, 'change'];
+        if (type === 'insert' || type === 'update') events.push('set');
+        if (!events.some(event => this.listenerCount(event) > 0)) return;
+
+        const resolve = async value => {
+            const resolved = typeof value === 'function' ? await value() : value;
+            return resolved === undefined ? null : resolved;
+        };
+        const change = {
+            type,
+            key,
+            table,
+            rowId,
+            oldValue: await resolve(oldValue),
+            newValue: await resolve(newValue),
+            ...rest
+        };
+
+        for (const event of events) {
+            try {
+                this.emit(event, change);
+            } catch (error) {
+                this.debug && DatabaseError.info(`Listener for '${event}' failed: ${error.message}`);
+            }
         }
-        return this.set(key, currentValue + value);
     }
 
-    async subtract(key, value) {
-        return this.add(key, -value);
-    }
+    countWrite() {
+        if (!this.backupAfterWrites) return;
+        this.writesSinceBackup++;
+        if (this.writesSinceBackup < this.backupAfterWrites || this.pendingBackup) return;
 
-    async multiply(key, value) {
-        if (!key) throw new DatabaseError('Key is required');
-        if (typeof value !== 'number') throw new DatabaseError('Value must be a number');
-        const currentValue = await this.get(key, 0);
-        if (typeof currentValue !== 'number') {
-            throw new DatabaseError('Target is not a number');
-        }
-        return this.set(key, currentValue * value);
+        this.pendingBackup = this.backup()
+            .catch(error => {
+                this.debug && DatabaseError.info('Write-triggered backup failed: ' + error.message);
+            })
+            .finally(() => {
+                this.pendingBackup = null;
+            });
     }
 
-    async divide(key, value) {
-        if (!key) throw new DatabaseError('Key is required');
-        if (typeof value !== 'number') throw new DatabaseError('Value must be a number');
-        if (value === 0) throw new DatabaseError('Cannot divide by zero');
-        const currentValue = await this.get(key, 0);
-        if (typeof currentValue !== 'number') {
-            throw new DatabaseError('Target is not a number');
+    watch(target, handler) {
+        if (typeof handler !== 'function') {
+            throw new DatabaseError('Watch handler must be a function');
         }
-        return this.set(key, currentValue / value);
-    }
 
-    async increment(key) {
-        return this.add(key, 1);
-    }
+        let matches;
+        if (typeof target === 'string' && target) {
+            const pattern = target.split('.');
+            matches = change => change.key !== null && this.matchKeyPattern(pattern, change.key.split('.'));
+        } else if (target && typeof target === 'object' && target.table) {
+            const { table, where = {} } = target;
+            this.matchesWhere({}, where);
+            matches = change => change.table === table && (
+                change.rowId === null ||
+                [change.oldValue, change.newValue].some(row => row && this.matchesWhere(row, where))
+            );
+        } else {
+            throw new DatabaseError('Watch target must be a key pattern or { table, where }');
+        }
 
-    async decrement(key) {
-        return this.add(key, -1);
-    }
+        const listener = change => {
+            if (!matches(change)) return;
+            Promise.resolve(handler(change)).catch(error => {
+                this.debug && DatabaseError.info('Watch handler failed: ' + error.message);
+            });
+        };
 
-    type(key) {
-        const value = this.get(key);
-        return value === null ? null : typeof value;
+        this.on('change', listener);
+        return () => this.off('change', listener);
     }
 
-    size() {
-        return Object.keys(this.data).length;
+    matchKeyPattern(pattern, keys) {
+        if (!pattern.length) return !keys.length;
+        const [head, ...rest] = pattern;
+        if (head === '**') {
+            for (let i = 0; i <= keys.length; i++) {
+                if (this.matchKeyPattern(rest, keys.slice(i))) return true;
+            }
+            return false;
+        }
+        if (!keys.length) return false;
+        return (head === '*' || head === keys[0]) && this.matchKeyPattern(rest, keys.slice(1));
     }
 
-    all() {
-        return this.data;
+    async decryptRow(row) {
+        if (row === null || row === undefined) return null;
+        const decryptedRow = {};
+        for (const [field, val] of Object.entries(row)) {
+            decryptedRow[field] = await this.decryptValue(val);
+        }
+        return decryptedRow;
     }
 
-    async deleteAll() {
-        return this.clear();
+    async sealValue(value, encryption = this.encryption) {
+        if (value === null || value === undefined) {
+            return value;
+        }
+        const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        const compressedValue = await compress(Buffer.from(stringValue));
+        return await encryption.encrypt(compressedValue.toString('base64'));
     }
 
-    keys() {
-        return Object.keys(this.data);
-    }
+    async openValue(value, encryption = this.encryption) {
+        if (!value || typeof value !== 'string') {
+            return value;
+        }
+        const decrypted = await encryption.decrypt(value);
+        const decompressedValue = await decompress(Buffer.from(decrypted, 'base64'));
+        const decodedValue = decompressedValue.toString();
 
-    values() {
-        return Object.values(this.data);
+        try {
+            return JSON.parse(decodedValue);
+        } catch (e) {
+            return decodedValue;
+        }
     }
 
-    entries() {
-        return Object.entries(this.data);
-    }
+    async encryptValue(value) {
+        checkMethodProtection(this, 'encryptValue');
+
+        try {
+            return await this.sealValue(value);
+        } catch (error) {
+            this.debug && DatabaseError.warn(`Compression/Encryption failed: ${error.message}`);
+            return value;
+        }
+    }
+
+    async decryptValue(value) {
+        checkMethodProtection(this, 'decryptValue');
+
+        try {
+            return await this.openValue(value);
+        } catch (error) {
+            this.debug && DatabaseError.warn(`Decryption/Decompression failed: ${error.message}`);
+            return value;
+        }
+    }
+
+    async decryptTree(node) {
+        if (node === null || typeof node !== 'object' || Array.isArray(node)) {
+            return this.decryptValue(node);
+        }
+        const result = {};
+        for (const [key, value] of Object.entries(node)) {
+            result[key] = await this.decryptTree(value);
+        }
+        return result;
+    }
+
+    async rotateEncryptionKey(newSecretKey) {
+        await this.ensureInitialized();
+        if (!newSecretKey) throw new DatabaseError('New encryption key is required');
+        if (this.inTransaction) throw new DatabaseError('Cannot rotate the encryption key inside a transaction');
+
+        const nextEncryption = new Encryption(newSecretKey);
+        const backupPath = await this.backup();
+
+        let rotated = null;
+        for (let attempt = 0; attempt < 3 && !rotated; attempt++) {
+            const snapshot = JSON.stringify(this.data);
+            const source = JSON.parse(snapshot);
+            let next;
+
+            try {
+                next = await this.reencryptData(source, this.encryption, nextEncryption);
+                await this.stampEncryptionKey(next, nextEncryption);
+            } catch (error) {
+                throw new DatabaseError('Failed to rotate encryption key: ' + error.message);
+            }
+
+            if (JSON.stringify(this.data) === snapshot) rotated = next;
+        }
+
+        if (!rotated) {
+            throw new DatabaseError('Failed to rotate encryption key: database kept changing during rotation');
+        }
+
+        const previousData = this.data;
+        const previousEncryption = this.encryption;
+        this.data = rotated;
+        this.encryption = nextEncryption;
+
+        try {
+            await this.rewriteDataFile();
+        } catch (error) {
+            this.data = previousData;
+            this.encryption = previousEncryption;
+            throw new DatabaseError('Failed to rotate encryption key: ' + this.sanitizeErrorMessage(error.message));
+        }
+
+        this.debug && DatabaseError.info('Encryption key rotated successfully');
+        return { backupPath };
+    }
+
+    async rewriteDataFile() {
+        if (this.journal) {
+            await this.compact();
+            return;
+        }
+        await this.acquireLock(this.filePath);
+        try {
+            await this.writeDataFile();
+        } finally {
+            this.releaseLock(this.filePath);
+        }
+    }
+
+    async reencryptData(source, fromEncryption, toEncryption) {
+        const reencrypt = async (value) => {
+            if (typeof value !== 'string') return value;
+            return this.sealValue(await this.openValue(value, fromEncryption), toEncryption);
+        };
+        const rotateTree = async (node) => {
+            if (node === null || typeof node !== 'object') return reencrypt(node);
+            const result = {};
+            for (const [key, value] of Object.entries(node)) {
+                result[key] = await rotateTree(value);
+            }
+            return result;
+        };
+
+        const next = {};
+        for (const [key, value] of Object.entries(source)) {
+            if (key === '_meta') {
+                next._meta = value;
+                continue;
+            }
+            if (!value?._meta) {
+                next[key] = await rotateTree(value);
+                continue;
+            }
+            next[key] = { _meta: value._meta };
+            for (const [rowId, row] of Object.entries(value)) {
+                if (rowId === '_meta') continue;
+                next[key][rowId] = {};
+                for (const [field, fieldValue] of Object.entries(row)) {
+                    next[key][rowId][field] = await reencrypt(fieldValue);
+                }
+            }
+        }
+        return next;
+    }
+
+    async set(key, value, { ttl = null, expiresAt = null } = {}) {
+        await this.ensureInitialized();
+        this.checkKey(key);
+        if (ttl !== null && (typeof ttl !== 'number' || ttl <= 0)) {
+            throw new DatabaseError('TTL must be a positive number of milliseconds');
+        }
+
+        const [tableName, rowId, ...rest] = key.split('.');
+
+        if (rowId && !rest.length && rowId !== '_meta') {
+            const meta = this.data[tableName]?._meta;
+            if (meta) {
+                value = await this.normalizeTableData(tableName, value);
+                await this.validateTableData(tableName, value);
+                if (meta.primaryKey?.strategy === 'natural' && String(value[meta.primaryKey.column]) !== rowId) {
+                    throw new DatabaseError(`Row id '${rowId}' does not match primary key column '${meta.primaryKey.column}'`);
+                }
+                return this.writeTableRow(tableName, rowId, value, { ttl, expiresAt });
+            }
+        }
+
+        const keys = key.split('.');
+        let current = this.data;
+
+        if (this.data[keys[0]]?._meta) {
+            this.indexManager.invalidate(keys[0]);
+        }
+
+        for (let i = 0; i < keys.length - 1; i++) {
+            if (!(keys[i] in current)) {
+                current[keys[i]] = {};
+            }
+            current = current[keys[i]];
+        }
+
+        const lastKey = keys[keys.length - 1];
+        const previous = current[lastKey];
+        current[lastKey] = await this.encryptValue(value);
+        this.recordChange(keys);
+        this.setExpiry(key, this.resolveExpiry(ttl, expiresAt));
+
+        if (this.autoSave) await this.save();
+        await this.emitChange('set', { key, oldValue: () => this.decryptValue(previous), newValue: value });
+        return value;
+    }
+
+    resolveExpiry(ttl, expiresAt) {
+        if (expiresAt !== null && expiresAt !== undefined) {
+            const timestamp = expiresAt instanceof Date ? expiresAt.getTime() : Number(expiresAt);
+            if (isNaN(timestamp)) throw new DatabaseError('expiresAt must be a Date or a timestamp');
+            return timestamp;
+        }
+        return ttl ? Date.now() + ttl : null;
+    }
+
+    expiryTarget(key) {
+        const [tableName, rowId, ...rest] = key.split('.');
+        const tableMeta = this.data[tableName]?._meta;
+        if (tableMeta && rowId && !rest.length && rowId !== '_meta') {
+            return { meta: tableMeta, id: rowId, path: [tableName, '_meta'] };
+        }
+        return { meta: this.data._meta, id: key, path: ['_meta'] };
+    }
+
+    setExpiry(key, expiresAt) {
+        let { meta, id, path } = this.expiryTarget(key);
+        const stale = Object.keys(meta?.expires || {})
+            .filter(entry => entry === id || (path[0] === '_meta' && entry.startsWith(id + '.')));
+
+        if (expiresAt === null && !stale.length) return;
+        stale.forEach(entry => delete meta.expires[entry]);
+
+        if (expiresAt !== null) {
+            if (!meta) meta = this.data._meta = {};
+            meta.expires = { ...meta.expires, [id]: expiresAt };
+            this.startExpirySweep();
+        } else if (!Object.keys(meta.expires).length) {
+            delete meta.expires;
+        }
+        this.recordChange(path);
+    }
+
+    getExpiry(key) {
+        const { meta, id } = this.expiryTarget(key);
+        return meta?.expires?.[id] ?? null;
+    }
+
+    isExpired(key, now = Date.now()) {
+        const [tableName, rowId, ...rest] = key.split('.');
+        if (this.data[tableName]?._meta && rowId && !rest.length) {
+            return this.isRowExpired(tableName, rowId, now);
+        }
+
+        const expires = this.data._meta?.expires;
+        if (!expires) return false;
+        const keys = key.split('.');
+        for (let i = 1; i <= keys.length; i++) {
+            const expiresAt = expires[keys.slice(0, i).join('.')];
+            if (expiresAt !== undefined && expiresAt <= now) return true;
+        }
+        return false;
+    }
+
+    isRowExpired(tableName, rowId, now = Date.now()) {
+        const expiresAt = this.data[tableName]?._meta?.expires?.[rowId];
+        return expiresAt !== undefined && expiresAt <= now;
+    }
+
+    hasExpiries() {
+        if (this.data._meta?.expires) return true;
+        return Object.values(this.data).some(value => value?._meta?.expires);
+    }
+
+    async purgeExpired() {
+        await this.ensureInitialized();
+        const now = Date.now();
+        const expiredKeys = [];
+
+        for (const [key, expiresAt] of Object.entries(this.data._meta?.expires || {})) {
+            if (expiresAt <= now) expiredKeys.push(key);
+        }
+        for (const [tableName, table] of Object.entries(this.data)) {
+            for (const [rowId, expiresAt] of Object.entries(table?._meta?.expires || {})) {
+                if (expiresAt <= now) expiredKeys.push(`${tableName}.${rowId}`);
+            }
+        }
+
+        if (!expiredKeys.length) return 0;
+
+        await this.runInTransaction(async (tx) => {
+            for (const key of expiredKeys) {
+                await tx.deleteKey(key);
+            }
+        }, true);
+
+        this.debug && DatabaseError.info(`Purged ${expiredKeys.length} expired entries`);
+        return expiredKeys.length;
+    }
+
+    startExpirySweep() {
+        if (this.sweepIntervalId || this.inTransaction) return;
+        this.sweepIntervalId = setInterval(() => {
+            this.purgeExpired().catch(error => {
+                this.debug && DatabaseError.info('Expiry sweep failed: ' + error.message);
+            });
+        }, this.sweepIntervalTime);
+        if (this.sweepIntervalId.unref) this.sweepIntervalId.unref();
+    }
+
+    stopExpirySweep() {
+        if (this.sweepIntervalId) {
+            clearInterval(this.sweepIntervalId);
+            this.sweepIntervalId = null;
+        }
+    }
+
+    checkKey(key) {
+        if (!key) throw new DatabaseError('Key is required');
+        if (typeof key !== 'string') throw new DatabaseError('Key must be a string');
+        if (key.split('.')[0] === '_meta') {
+            throw new DatabaseError('"_meta" is reserved for database metadata and cannot be used as a key');
+        }
+    }
+
+    async get(key, defaultValue = null) {
+        await this.ensureInitialized();
+        this.checkKey(key);
+        if (this.isExpired(key)) return defaultValue;
+
+        const [tableName, rowId, ...rest] = key.split('.');
+
+        if (rowId && !rest.length) {
+            const meta = this.data[tableName]?._meta;
+            if (meta) {
+                if (rowId === '_meta') {
+                    return meta;
+                }
+
+                const encryptedData = this.data[tableName]?.[rowId];
+                if (!encryptedData) return defaultValue;
+                return this.decryptRow(encryptedData);
+            }
+        }
+
+        const keys = key.split('.');
+        let current = this.data;
+
+        for (const k of keys) {
+            if (current === undefined || current === null || !(k in current)) {
+                return defaultValue;
+            }
+            current = current[k];
+        }
+
+        return await this.decryptTree(current);
+    }
+
+    fetch(key, defaultValue = null) {
+        return this.get(key, defaultValue);
+    }
+
+    has(key) {
+        return this.get(key) !== null;
+    }
+
+    async deleteKey(key) {
+        await this.ensureInitialized();
+        this.checkKey(key);
+
+        const keys = key.split('.');
+        let current = this.data;
+        const stack = [];
+        const meta = this.data[keys[0]]?._meta;
+
+        if (meta && keys.length === 2 && keys[1] !== '_meta') {
+            this.indexManager.remove(keys[0], keys[1]);
+        } else if (meta) {
+            this.indexManager.invalidate(keys[0]);
+        }
+
+        if (!meta || keys.length === 2) this.setExpiry(key, null);
+
+        for (let i = 0; i < keys.length - 1; i++) {
+            if (!(keys[i] in current)) {
+                return false;
+            }
+            stack.push({ obj: current, key: keys[i] });
+            current = current[keys[i]];
+        }
+
+        const previous = current[keys[keys.length - 1]];
+        const deleted = delete current[keys[keys.length - 1]];
+
+        if (meta && keys.length === 2 && this.data[keys[0]]) {
+            meta.rowCount = Object.keys(this.data[keys[0]]).filter(k => k !== '_meta').length;
+            this.recordChange([keys[0], '_meta']);
+        }
+        this.recordChange(keys);
+
+        for (let i = stack.length - 1; i >= 0; i--) {
+            const { obj, key } = stack[i];
+            if (Object.keys(obj[key]).length === 0) {
+                delete obj[key];
+            }
+        }
+
+        if (this.autoSave) await this.save();
+        if (previous !== undefined) {
+            if (meta && keys.length === 1) {
+                await this.emitChange('tableDropped', { key, table: keys[0], oldValue: meta });
+            } else if (meta && keys.length === 2) {
+                await this.emitChange('delete', { key, table: keys[0], rowId: keys[1], oldValue: () => this.decryptRow(previous) });
+            } else {
+                await this.emitChange('delete', { key, oldValue: () => this.decryptValue(previous) });
+            }
+        }
+        return deleted;
+    }
+
+    async clear() {
+        const meta = this.data._meta;
+        this.data = meta ? { _meta: meta } : {};
+        this.indexManager.reset();
+        this.recordChange([]);
+        if (this.autoSave) await this.save();
+        return true;
+    }
+
+    async push(key, value) {
+        if (!key) throw new DatabaseError('Key is required');
+        const arr = await this.get(key, []);
+        if (!Array.isArray(arr)) {
+            throw new DatabaseError('Target is not an array');
+        }
+        arr.push(value);
+        return this.set(key, arr, { expiresAt: this.getExpiry(key) });
+    }
+
+    async pull(key, value) {
+        if (!key) throw new DatabaseError('Key is required');
+        const arr = await this.get(key);
+        if (!Array.isArray(arr)) {
+            throw new DatabaseError('Target is not an array');
+        }
+        const newArr = arr.filter(item => item !== value);
+        return this.set(key, newArr, { expiresAt: this.getExpiry(key) });
+    }
+
+    async add(key, value) {
+        if (!key) throw new DatabaseError('Key is required');
+        if (typeof value !== 'number') throw new DatabaseError('Value must be a number');
+        const currentValue = await this.get(key, 0);
+        if (typeof currentValue !== 'number') {
+            throw new DatabaseError('Target is not a number');
+        }
+        return this.set(key, currentValue + value, { expiresAt: this.getExpiry(key) });
+    }
+
+    async subtract(key, value) {
+        return this.add(key, -value);
+    }
+
+    async multiply(key, value) {
+        if (!key) throw new DatabaseError('Key is required');
+        if (typeof value !== 'number') throw new DatabaseError('Value must be a number');
+        const currentValue = await this.get(key, 0);
+        if (typeof currentValue !== 'number') {
+            throw new DatabaseError('Target is not a number');
+        }
+        return this.set(key, currentValue * value, { expiresAt: this.getExpiry(key) });
+    }
+
+    async divide(key, value) {
+        if (!key) throw new DatabaseError('Key is required');
+        if (typeof value !== 'number') throw new DatabaseError('Value must be a number');
+        if (value === 0) throw new DatabaseError('Cannot divide by zero');
+        const currentValue = await this.get(key, 0);
+        if (typeof currentValue !== 'number') {
+            throw new DatabaseError('Target is not a number');
+        }
+        return this.set(key, currentValue / value, { expiresAt: this.getExpiry(key) });
+    }
+
+    async increment(key) {
+        return this.add(key, 1);
+    }
+
+    async decrement(key) {
+        return this.add(key, -1);
+    }
+
+    type(key) {
+        const value = this.get(key);
+        return value === null ? null : typeof value;
+    }
+
+    size() {
+        return this.keys().length;
+    }
+
+    all() {
+        return this.data;
+    }
+
+    async deleteAll() {
+        return this.clear();
+    }
+
+    keys() {
+        return Object.keys(this.data).filter(key => key !== '_meta');
+    }
+
+    values() {
+        return this.entries().map(([, value]) => value);
+    }
+
+    entries() {
+        return Object.entries(this.data).filter(([key]) => key !== '_meta');
+    }
 
     find(predicate) {
         for (const [key, value] of this.entries()) {
@@ -500,32 +1219,35 @@ class PulseaDB {
         return true;
     }
 
-    async backup() {
+    async backup({ plaintext = false, compression = this.backupCompression, prune = true } = {}) {
         try {
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupPath = path.join(this.backupDir, `backup-${timestamp}.${this.fileFormat}`);
-
-            const decryptedData = {};
-            for (const [key, value] of Object.entries(this.data)) {
-                if (key === '_meta') {
-                    decryptedData[key] = value;
-                } else {
-                    decryptedData[key] = await this.decryptValue(value);
-                }
-            }
-
-            let backupContent;
-            if (this.fileFormat === 'json') {
-                backupContent = JSON.stringify(decryptedData, null, 2);
-            } else if (this.fileFormat === 'yml') {
-                backupContent = yaml.dump(decryptedData);
-            } else if (this.fileFormat === 'sql') {
-                backupContent = await this.generateSQLContent(decryptedData);
+            this.writesSinceBackup = 0;
+            if (plaintext) {
+                return await this.exportPlaintextBackup(timestamp, { prune });
             }
 
-            await fs.promises.writeFile(backupPath, backupContent);
-
-            this.cleanOldBackups();
+            const backupPath = path.join(this.backupDir, `backup-${timestamp}${BACKUP_EXTENSION}`);
+            const encryption = this.backupEncryption || this.encryption;
+            const content = JSON.stringify(this.data);
+            const payload = compression ? await compress(Buffer.from(content)) : Buffer.from(content);
+            const body = await encryption.encrypt(payload.toString('base64'));
+
+            const header = {
+                format: BACKUP_FORMAT,
+                version: BACKUP_VERSION,
+                createdAt: new Date().toISOString(),
+                sourceKeyId: this.data._meta?.keyId || null,
+                keyCheck: await this.sealValue(KEY_CHECK, encryption),
+                compressed: compression,
+                checksum: crypto.createHash('sha256').update(body).digest('hex'),
+                signature: encryption.sign(content)
+            };
+
+            await this.storage.write(this.storageName(backupPath), `${JSON.stringify(header)}\n${body}`);
+            await this.emitChange('backupCreated', { path: backupPath });
+
+            if (prune) await this.cleanOldBackups();
             this.debug && DatabaseError.info('Backup created successfully');
             return backupPath;
         } catch (error) {
@@ -533,69 +1255,459 @@ class PulseaDB {
         }
     }
 
-    async restoreFromBackup(backupPath) {
+    async exportPlaintextBackup(timestamp, { prune = true } = {}) {
+        const backupPath = path.join(this.backupDir, `backup-${timestamp}.${this.fileFormat}`);
+
+        const decryptedData = {};
+        for (const [key, value] of Object.entries(this.data)) {
+            if (key === '_meta') {
+                decryptedData[key] = value;
+            } else if (value?._meta) {
+                decryptedData[key] = { _meta: value._meta };
+                for (const [rowId, row] of Object.entries(value)) {
+                    if (rowId !== '_meta') decryptedData[key][rowId] = await this.decryptRow(row);
+                }
+            } else {
+                decryptedData[key] = await this.decryptTree(value);
+            }
+        }
+
+        let backupContent;
+        if (this.fileFormat === 'json') {
+            backupContent = JSON.stringify(decryptedData, null, 2);
+        } else if (this.fileFormat === 'yml') {
+            backupContent = yaml.dump(decryptedData);
+        } else if (this.fileFormat === 'sql') {
+            backupContent = await this.generateSQLContent(decryptedData);
+        }
+
+        await this.storage.write(this.storageName(backupPath), backupContent);
+        await this.emitChange('backupCreated', { path: backupPath });
+
+        if (prune) await this.cleanOldBackups();
+        this.debug && DatabaseError.info('Plaintext backup created successfully');
+        return backupPath;
+    }
+
+    async readBackup(backupPath, { secretKey = null } = {}) {
+        const fileContent = await this.readBackupFile(backupPath);
+        const newline = fileContent.indexOf('\n');
+
+        let header;
+        try {
+            header = JSON.parse(fileContent.slice(0, newline));
+        } catch (error) {
+            throw new DatabaseError('Backup header is missing or unreadable');
+        }
+        if (header?.format !== BACKUP_FORMAT) {
+            throw new DatabaseError('File is not a PulseaDB backup');
+        }
+        if (header.version > BACKUP_VERSION) {
+            throw new DatabaseError(`Unsupported backup version: ${header.version}`);
+        }
+
+        const body = fileContent.slice(newline + 1);
+        if (crypto.createHash('sha256').update(body).digest('hex') !== header.checksum) {
+            throw new DatabaseError('Backup checksum mismatch: the file is corrupted or was modified');
+        }
+
+        const encryption = secretKey ? new Encryption(secretKey) : this.backupEncryption || this.encryption;
+        if (!await this.matchesKey({ _meta: { keyCheck: header.keyCheck } }, encryption)) {
+            throw new DatabaseError('Backup was encrypted with a different key');
+        }
+
+        let content;
+        try {
+            const payload = Buffer.from(await encryption.decrypt(body), 'base64');
+            content = (header.compressed ? await decompress(payload) : payload).toString();
+        } catch (error) {
+            throw new DatabaseError('Backup could not be decrypted: ' + error.message);
+        }
+        if (!encryption.verify(content, header.signature)) {
+            throw new DatabaseError('Backup signature mismatch: the contents were modified');
+        }
+
+        return { header, data: JSON.parse(content) };
+    }
+
+    async verifyBackup(backupPath, { secretKey = null } = {}) {
         try {
             const ext = path.extname(backupPath).toLowerCase();
-            if (ext !== `.${this.fileFormat}`) {
-                throw new DatabaseError(`Backup file format does not match the database format: ${ext} !== .${this.fileFormat}`);
+            if (ext !== BACKUP_EXTENSION) {
+                await this.parseDataFile(await this.readBackupFile(backupPath), ext);
+                return { valid: true, encrypted: false, header: null };
             }
 
-            const fileContent = await fs.promises.readFile(backupPath, 'utf8');
+            const { header, data } = await this.readBackup(backupPath, { secretKey });
+            const tables = Object.keys(data).filter(key => data[key]?._meta).length;
+            return { valid: true, encrypted: true, header, tables, keys: Object.keys(data).filter(key => key !== '_meta').length - tables };
+        } catch (error) {
+            const reason = error.message.replace(/\x1b\[[0-9;]*m/g, '').replace('[PULSEA] ', '');
+            return { valid: false, error: this.sanitizeErrorMessage(reason) };
+        }
+    }
+
+    async listBackups() {
+        const files = await this.storage.list(this.storageName(this.backupDir));
+
+        const backups = [];
+        for (const file of files.filter(file => this.isBackupFile(file))) {
+            const backup = await this.describeBackup(path.join(this.backupDir, file)).catch(() => null);
+            if (backup) backups.push(backup);
+        }
+
+        return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+    }
+
+    async describeBackup(backupPath) {
+        const stats = await this.storage.stat(this.storageName(backupPath));
+        if (!stats) throw new DatabaseError(`Backup file not found: ${backupPath}`);
+        const file = path.basename(backupPath);
+        const encrypted = path.extname(file).toLowerCase() === BACKUP_EXTENSION;
+        const header = encrypted ? await this.readBackupHeader(backupPath).catch(() => null) : null;
+
+        return {
+            id: file,
+            path: backupPath,
+            createdAt: header?.createdAt || this.backupTimestamp(file) || stats.mtime.toISOString(),
+            size: stats.size,
+            encrypted,
+            compressed: header?.compressed ?? false,
+            version: header?.version ?? null,
+            sourceKeyId: header?.sourceKeyId ?? null,
+            readable: !encrypted || header !== null
+        };
+    }
+
+    async readBackupFile(backupPath, options) {
+        const content = await this.storage.read(this.storageName(backupPath), options);
+        if (content === null) throw new DatabaseError(`Backup file not found: ${backupPath}`);
+        return content;
+    }
+
+    async readBackupHeader(backupPath) {
+        const chunk = await this.readBackupFile(backupPath, { length: 64 * 1024 });
+        const newline = chunk.indexOf('\n');
+        const header = JSON.parse(newline === -1 ? chunk : chunk.slice(0, newline));
+        if (header?.format !== BACKUP_FORMAT) throw new DatabaseError('File is not a PulseaDB backup');
+        return header;
+    }
+
+    backupTimestamp(file) {
+        const match = file.match(/^backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+        return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+    }
+
+    async findBackup(at = null) {
+        const backups = await this.listBackups();
+
+        if (at === null || at === undefined) {
+            if (!backups.length) throw new DatabaseError('No backups found');
+            return backups[0];
+        }
+        if (typeof at === 'string') {
+            const backup = backups.find(entry => entry.id === at || path.resolve(entry.path) === path.resolve(at));
+            if (backup) return backup;
+            if (path.isAbsolute(at) || at.includes(path.sep)) {
+                return this.describeBackup(at).catch(() => {
+                    throw new DatabaseError(`Backup not found: ${at}`);
+                });
+            }
+            throw new DatabaseError(`Backup not found: ${at}`);
+        }
+
+        const time = at instanceof Date ? at.getTime() : Number(at);
+        if (isNaN(time)) throw new DatabaseError('Restore point must be a Date, a timestamp or a backup id');
+
+        const backup = backups.find(entry => Date.parse(entry.createdAt) <= time);
+        if (!backup) throw new DatabaseError(`No backup exists at or before ${new Date(time).toISOString()}`);
+        return backup;
+    }
+
+    async loadBackup(backup, { secretKey = null, sourceKey = null } = {}) {
+        if (backup.encrypted) {
+            const { data } = await this.readBackup(backup.path, { secretKey });
+            if (await this.matchesKey(data, this.encryption)) {
+                return { data, encryption: this.encryption };
+            }
+
+            if (!sourceKey) {
+                throw new DatabaseError('Backup data was written under a different database key; pass that key as "sourceKey"');
+            }
+            const encryption = new Encryption(sourceKey);
+            if (!await this.matchesKey(data, encryption)) {
+                throw new DatabaseError('sourceKey does not match the key the backup data was written with');
+            }
+            return { data, encryption };
+        }
+
+        const ext = path.extname(backup.path).toLowerCase();
+        if (ext !== `.${this.fileFormat}`) {
+            throw new DatabaseError(`Backup file format does not match the database format: ${ext} !== .${this.fileFormat}`);
+        }
 
-            let data;
-            if (this.fileFormat === 'json') {
-                data = JSON.parse(fileContent);
-            } else if (this.fileFormat === 'yml') {
-                data = yaml.load(fileContent);
-            } else if (this.fileFormat === 'sql') {
-                data = {};
+        const data = await this.parseDataFile(await this.readBackupFile(backup.path), ext);
+        for (const [key, value] of Object.entries(data)) {
+            if (key === '_meta' || value === null || value === undefined) continue;
+            if (value._meta) {
+                for (const [rowId, row] of Object.entries(value)) {
+                    if (rowId === '_meta') continue;
+                    for (const [field, fieldValue] of Object.entries(row)) {
+                        row[field] = await this.sealPlainValue(fieldValue);
+                    }
+                }
+                continue;
             }
+            if (typeof value === 'object' && await this.isSealedTree(value)) continue;
+            data[key] = await this.sealPlainTree(value);
+        }
+        return { data, encryption: this.encryption };
+    }
 
-            for (const [key, value] of Object.entries(data)) {
-                await this.set(key, value);
+    async sealPlainValue(value) {
+        if (value === null || value === undefined) return value;
+        if (typeof value === 'string') {
+            try {
+                await this.openValue(value);
+                return value;
+            } catch (error) {
+                return this.sealValue(value);
             }
+        }
+        return this.sealValue(value);
+    }
+
+    async sealPlainTree(node) {
+        if (node === null || typeof node !== 'object' || Array.isArray(node)) {
+            return this.sealPlainValue(node);
+        }
+        const result = {};
+        for (const [key, value] of Object.entries(node)) {
+            result[key] = await this.sealPlainTree(value);
+        }
+        return result;
+    }
 
-            this.debug && DatabaseError.info('Restored from backup: ' + backupPath);
+    async isSealedTree(node) {
+        const sample = this.findEncryptedSample(node);
+        if (sample === null) return false;
+        try {
+            await this.openValue(sample);
             return true;
         } catch (error) {
-            throw new DatabaseError('Failed to restore from backup: ' + error.message);
+            return false;
         }
     }
 
-    findLatestBackup() {
+    async restore({ at = null, mode = 'replace', secretKey = null, sourceKey = null } = {}) {
+        await this.ensureInitialized();
+        if (this.inTransaction) throw new DatabaseError('Cannot restore a backup inside a transaction');
+        if (mode !== 'replace' && mode !== 'merge') {
+            throw new DatabaseError(`Invalid restore mode: ${mode}. Use "replace" or "merge"`);
+        }
+
         try {
-            const backups = fs.readdirSync(this.backupDir)
-                .filter(file => file.startsWith('backup-') && file.endsWith(`.${this.fileFormat}`))
-                .sort()
-                .reverse();
+            const backup = await this.findBackup(at);
+            const { data, encryption } = await this.loadBackup(backup, { secretKey, sourceKey });
+            const snapshot = encryption === this.encryption ? data : await this.reencryptData(data, encryption, this.encryption);
+
+            let safetyBackup = null;
+            if (mode === 'merge') {
+                await this.mergeBackupData(snapshot);
+            } else {
+                safetyBackup = await this.backup({ prune: false });
+                await this.replaceData(snapshot);
+            }
 
-            const latestBackup = backups[0];
-            return latestBackup ? path.join(this.backupDir, latestBackup) : null;
+            this.debug && DatabaseError.info(`Restored from backup (${mode}): ${backup.path}`);
+            await this.emitChange('restored', { path: backup.path, backupId: backup.id, mode });
+            return { backupId: backup.id, path: backup.path, mode, safetyBackup };
         } catch (error) {
-            return null;
+            throw new DatabaseError('Failed to restore from backup: ' + error.message);
         }
     }
 
-    cleanOldBackups() {
+    async replaceData(snapshot) {
+        await this.stampEncryptionKey(snapshot, this.encryption, this.data._meta?.keyId || Encryption.createKeyId());
+
+        const previousData = this.data;
+        this.data = snapshot;
+        this.indexManager.reset();
+
         try {
-            const backups = fs.readdirSync(this.backupDir)
-                .filter(file => file.startsWith('backup-') && file.endsWith(`.${this.fileFormat}`))
-                .sort()
-                .reverse();
-
-            if (backups.length > this.maxBackups) {
-                backups.slice(this.maxBackups).forEach(file => {
-                    fs.unlinkSync(path.join(this.backupDir, file));
-                });
+            await this.rewriteDataFile();
+        } catch (error) {
+            this.data = previousData;
+            this.indexManager.reset();
+            throw error;
+        }
+
+        if (this.hasExpiries()) this.startExpirySweep();
+    }
+
+    async restoreFromBackup(backupPath) {
+        await this.restore({ at: backupPath, mode: 'merge' });
+        return true;
+    }
+
+    async diffBackup(at = null, { mode = 'replace', secretKey = null, sourceKey = null } = {}) {
+        await this.ensureInitialized();
+        const backup = await this.findBackup(at);
+        const { data, encryption } = await this.loadBackup(backup, { secretKey, sourceKey });
+
+        const open = async (node, from) => {
+            if (node === null || typeof node !== 'object') {
+                try {
+                    return await this.openValue(node, from);
+                } catch (error) {
+                    return node;
+                }
+            }
+            const result = {};
+            for (const [key, value] of Object.entries(node)) {
+                result[key] = await open(value, from);
+            }
+            return result;
+        };
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const schema = ({ rowCount, autoIncrement, expires, ...meta } = {}) => meta;
+
+        const diff = {
+            backupId: backup.id,
+            createdAt: backup.createdAt,
+            mode,
+            tables: { added: [], removed: [], changed: {} },
+            keys: { added: [], removed: [], changed: [] }
+        };
+
+        const names = new Set([...Object.keys(this.data), ...Object.keys(data)]);
+        for (const name of names) {
+            if (name === '_meta') continue;
+            const current = this.data[name];
+            const restored = data[name];
+
+            if (current?._meta || restored?._meta) {
+                if (!current?._meta) {
+                    if (current !== undefined) diff.keys.removed.push(name);
+                    diff.tables.added.push(name);
+                    continue;
+                }
+                if (!restored?._meta) {
+                    if (mode === 'replace') diff.tables.removed.push(name);
+                    if (restored !== undefined) diff.keys.added.push(name);
+                    continue;
+                }
+
+                const rows = { added: [], removed: [], changed: [] };
+                const ids = new Set([...Object.keys(current), ...Object.keys(restored)]);
+                for (const id of ids) {
+                    if (id === '_meta') continue;
+                    if (!(id in current)) rows.added.push(id);
+                    else if (!(id in restored)) {
+                        if (mode === 'replace') rows.removed.push(id);
+                    } else if (!same(await open(current[id], this.encryption), await open(restored[id], encryption))) {
+                        rows.changed.push(id);
+                    }
+                }
+
+                const schemaChanged = mode === 'replace' && !same(schema(current._meta), schema(restored._meta));
+                if (schemaChanged || rows.added.length || rows.removed.length || rows.changed.length) {
+                    diff.tables.changed[name] = { schemaChanged, rows };
+                }
+                continue;
+            }
+
+            if (current === undefined) diff.keys.added.push(name);
+            else if (restored === undefined) {
+                if (mode === 'replace') diff.keys.removed.push(name);
+            } else if (!same(await open(current, this.encryption), await open(restored, encryption))) {
+                diff.keys.changed.push(name);
+            }
+        }
+
+        return diff;
+    }
+
+    async mergeBackupData(data) {
+        await this.ensureInitialized();
+
+        for (const [key, value] of Object.entries(data)) {
+            if (key === '_meta') continue;
+
+            if (value?._meta) {
+                const table = this.data[key]?._meta ? this.data[key] : { _meta: cloneData(value._meta) };
+                for (const [rowId, row] of Object.entries(value)) {
+                    if (rowId !== '_meta') table[rowId] = row;
+                }
+                const rowIds = Object.keys(table).filter(rowId => rowId !== '_meta');
+                table._meta.rowCount = rowIds.length;
+                if (table._meta.primaryKey?.strategy === 'autoIncrement') {
+                    table._meta.autoIncrement = Math.max(
+                        table._meta.autoIncrement || 0,
+                        value._meta.autoIncrement || 0,
+                        ...rowIds.map(Number).filter(Number.isInteger)
+                    );
+                }
+                this.data[key] = table;
+                this.indexManager.invalidate(key);
+            } else {
+                this.data[key] = value;
+            }
+            this.recordChange([key]);
+        }
+
+        await this.save();
+    }
+
+    parseDataFile(fileContent, ext) {
+        switch (ext.toLowerCase()) {
+            case '.json': return JSON.parse(fileContent);
+            case '.yml':
+            case '.yaml': return yaml.load(fileContent);
+            case '.sql': return new SQLParser(fileContent).parse();
+            default: throw new DatabaseError(`Unsupported backup file format: ${ext}`);
+        }
+    }
+
+    isBackupFile(file) {
+        return file.startsWith('backup-') && (file.endsWith(BACKUP_EXTENSION) || file.endsWith(`.${this.fileFormat}`));
+    }
+
+    async pruneBackups({ dryRun = false, policy = null } = {}) {
+        const retention = policy ? BackupRetention.normalize(policy) : this.backupRetention || BackupRetention.normalize({ keepLast: this.maxBackups });
+        const backups = await this.listBackups();
+        const keep = BackupRetention.select(backups, retention);
+
+        const kept = backups.filter(backup => keep.has(backup.id)).map(backup => ({ ...backup, reasons: keep.get(backup.id) }));
+        const pruned = backups.filter(backup => !keep.has(backup.id));
+
+        if (!dryRun) {
+            for (const backup of pruned) {
+                await this.storage.remove(this.storageName(backup.path));
             }
+            this.debug && pruned.length && DatabaseError.info(`Pruned ${pruned.length} old backups`);
+        }
+
+        return {
+            dryRun,
+            kept,
+            pruned,
+            freedBytes: pruned.reduce((sum, backup) => sum + backup.size, 0)
+        };
+    }
+
+    async cleanOldBackups() {
+        try {
+            await this.pruneBackups();
         } catch (error) {
             this.debug && DatabaseError.info('Failed to clean old backups: ' + error.message);
         }
     }
 
-    async createTable({ name, columns, validations = {}, indexes = [], relations = {} }) {
+    async createTable({ name, columns, validations = {}, indexes = [], unique = [], relations = {}, ttl = null, primaryKey = null }) {
         await this.ensureInitialized();
         if (!name) throw new DatabaseError('Table name is required');
+        if (name === '_meta') throw new DatabaseError('"_meta" is reserved for database metadata and cannot be used as a table name');
         if (!columns || !Array.isArray(columns) || columns.length === 0) {
             throw new DatabaseError('Columns must be a non-empty array');
         }
@@ -619,9 +1731,7 @@ class PulseaDB {
             if (!uniqueColumns.includes(column)) {
                 throw new DatabaseError(`Validation rule specified for non-existent column: ${column}`);
             }
-            if (rules.type && !['string', 'number', 'boolean', 'object'].includes(rules.type)) {
-                throw new DatabaseError(`Invalid type for column ${column}: ${rules.type}`);
-            }
+            this.checkValidationRules(column, rules);
         }
 
         const uniqueIndexes = [...new Set(indexes)];
@@ -631,6 +1741,12 @@ class PulseaDB {
             }
         }
 
+        const uniqueConstraints = this.normalizeUniqueConstraints(unique, uniqueColumns);
+
+        if (ttl !== null && (typeof ttl !== 'number' || ttl <= 0)) {
+            throw new DatabaseError('Table TTL must be a positive number of milliseconds');
+        }
+
         for (const [column, relation] of Object.entries(relations)) {
             if (!uniqueColumns.includes(column)) {
                 throw new DatabaseError(`Relation specified for non-existent column: ${column}`);
@@ -641,25 +1757,190 @@ class PulseaDB {
             if (!this.data[relation.table]?._meta) {
                 throw new DatabaseError(`Related table does not exist: ${relation.table}`);
             }
-            if (!this.data[relation.table]._meta.columns.includes(relation.column)) {
+            if (relation.column !== 'id' && !this.data[relation.table]._meta.columns.includes(relation.column)) {
                 throw new DatabaseError(`Related column does not exist: ${relation.column} in table ${relation.table}`);
             }
+            for (const event of ['onDelete', 'onUpdate']) {
+                const action = relation[event];
+                if (action === undefined) continue;
+                if (!REFERENTIAL_ACTIONS.includes(action)) {
+                    throw new DatabaseError(`Invalid ${event} action for column ${column}: ${action}. Supported actions are: ${REFERENTIAL_ACTIONS.join(', ')}`);
+                }
+                const rules = validations[column];
+                if (action === 'setNull' && rules && !rules.nullable && !rules.optional) {
+                    throw new DatabaseError(`${event} setNull requires column ${column} to be nullable or optional`);
+                }
+            }
+        }
+
+        const keyStrategy = this.normalizePrimaryKey(primaryKey, uniqueColumns);
+        const { rules: storedValidations, hooks } = this.splitValidations(validations);
+        this.columnHooks.set(name, hooks);
+
+        this.data[name] = {
+            _meta: {
+                columns: uniqueColumns,
+                validations: storedValidations,
+                indexes: uniqueIndexes,
+                ...(uniqueConstraints.length ? { unique: uniqueConstraints } : {}),
+                relations,
+                ...(keyStrategy ? { primaryKey: keyStrategy } : {}),
+                ...(keyStrategy?.strategy === 'autoIncrement' ? { autoIncrement: 0 } : {}),
+                ...(ttl ? { ttl } : {}),
+                created: new Date().toISOString(),
+                rowCount: 0
+            }
+        };
+        this.recordChange([name]);
+
+        if (this.autoSave) await this.save();
+        await this.emitChange('tableCreated', { key: name, table: name, newValue: this.data[name]._meta });
+        this.debug && DatabaseError.info(`Table '${name}' created with columns: ${uniqueColumns.join(', ')}`);
+        return true;
+    }
+
+    normalizePrimaryKey(primaryKey, columns) {
+        if (primaryKey === null || primaryKey === undefined) return null;
+
+        const spec = typeof primaryKey === 'string' ? { strategy: primaryKey } : primaryKey;
+        if (!spec || typeof spec !== 'object') {
+            throw new DatabaseError('Primary key must be a strategy name or an object');
+        }
+
+        const strategy = spec.strategy || (spec.column ? 'natural' : null);
+        if (!KEY_STRATEGIES.includes(strategy)) {
+            throw new DatabaseError(`Invalid primary key strategy: ${strategy}. Supported strategies are: ${KEY_STRATEGIES.join(', ')}`);
+        }
+
+        if (strategy !== 'natural') return { strategy };
+
+        if (!spec.column || !columns.includes(spec.column)) {
+            throw new DatabaseError(`Natural primary key column does not exist: ${spec.column}`);
+        }
+        return { strategy, column: spec.column };
+    }
+
+    normalizeUniqueConstraints(unique, columns, existing = []) {
+        if (!Array.isArray(unique)) {
+            throw new DatabaseError('Unique constraints must be an array');
+        }
+
+        const constraints = [...existing];
+        for (const entry of unique) {
+            const spec = typeof entry === 'string' ? { columns: [entry] } : Array.isArray(entry) ? { columns: entry } : entry;
+            if (!spec || !Array.isArray(spec.columns) || !spec.columns.length) {
+                throw new DatabaseError('Unique constraint must specify at least one column');
+            }
+            for (const column of spec.columns) {
+                if (!columns.includes(column)) {
+                    throw new DatabaseError(`Unique constraint specified for non-existent column: ${column}`);
+                }
+            }
+
+            const name = spec.name || spec.columns.join('_');
+            if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(name)) {
+                throw new DatabaseError(`Invalid unique constraint name: ${name}`);
+            }
+            if (constraints.some(constraint => constraint.name === name)) {
+                throw new DatabaseError(`Duplicate unique constraint name: ${name}`);
+            }
+            constraints.push({ name, columns: [...new Set(spec.columns)] });
+        }
+
+        return constraints;
+    }
+
+    uniqueConstraints(tableName, meta = this.data[tableName]?._meta) {
+        if (!meta) return [];
+
+        const constraints = [...(meta.unique || [])];
+        for (const [column, rules] of Object.entries(meta.validations || {})) {
+            const declared = constraints.some(constraint => constraint.columns.length === 1 && constraint.columns[0] === column);
+            if (rules.unique && !declared) {
+                constraints.push({ name: column, columns: [column] });
+            }
+        }
+        return constraints;
+    }
+
+    async checkUniqueConstraints(tableName, rowId, row) {
+        for (const constraint of this.uniqueConstraints(tableName)) {
+            const conflictId = await this.findUniqueConflict(tableName, rowId, row, constraint);
+            if (conflictId !== null) {
+                throw new DatabaseError(`Unique constraint '${constraint.name}' violated in table '${tableName}': (${constraint.columns.join(', ')}) already used by row ${conflictId}`);
+            }
+        }
+        return true;
+    }
+
+    async findUniqueConflict(tableName, rowId, row, constraint) {
+        const values = constraint.columns.map(column => row[column]);
+        if (values.some(value => value === null || value === undefined)) return null;
+
+        const table = this.data[tableName];
+        const where = Object.fromEntries(constraint.columns.map((column, i) => [column, values[i]]));
+        const candidates = values.every(value => typeof value !== 'object')
+            ? await this.indexManager.candidates(tableName, where)
+            : null;
+        const ids = candidates?.exact ? candidates.ids : Object.keys(table).filter(id => id !== '_meta');
+        const key = JSON.stringify(values);
+
+        for (const id of ids) {
+            if (id === rowId || !table[id] || this.isRowExpired(tableName, id)) continue;
+            if (candidates?.exact) return id;
+            const other = await this.decryptRow(table[id]);
+            if (JSON.stringify(constraint.columns.map(column => other[column])) === key) return id;
+        }
+        return null;
+    }
+
+    async findDuplicateRows(tableName, columns) {
+        const seen = new Map();
+        for (const [rowId, row] of Object.entries(await this.getTable(tableName))) {
+            const values = columns.map(column => row[column]);
+            if (values.some(value => value === null || value === undefined)) continue;
+
+            const key = JSON.stringify(values);
+            if (seen.has(key)) return [seen.get(key), rowId];
+            seen.set(key, rowId);
+        }
+        return null;
+    }
+
+    generateRowId(tableName, data) {
+        const meta = this.data[tableName]._meta;
+
+        switch (meta.primaryKey?.strategy) {
+            case 'autoIncrement':
+                meta.autoIncrement = (meta.autoIncrement || 0) + 1;
+                return String(meta.autoIncrement);
+            case 'uuid':
+                return Identifiers.uuid();
+            case 'ulid':
+                return Identifiers.ulid();
+            case 'natural': {
+                const column = meta.primaryKey.column;
+                const value = data[column];
+                if (value === null || value === undefined || value === '') {
+                    throw new DatabaseError(`Primary key column '${column}' is required`);
+                }
+                const id = String(value);
+                if (id.includes('.')) {
+                    throw new DatabaseError(`Primary key value cannot contain '.': ${id}`);
+                }
+                if (this.data[tableName][id] && !this.isRowExpired(tableName, id)) {
+                    throw new DatabaseError(`Duplicate primary key in table '${tableName}': ${id}`);
+                }
+                return id;
+            }
+            default:
+                return Identifiers.timestampId();
         }
+    }
 
-        this.data[name] = {
-            _meta: {
-                columns: uniqueColumns,
-                validations,
-                indexes: uniqueIndexes,
-                relations,
-                created: new Date().toISOString(),
-                rowCount: 0
-            }
-        };
-
-        if (this.autoSave) await this.save();
-        this.debug && DatabaseError.info(`Table '${name}' created with columns: ${uniqueColumns.join(', ')}`);
-        return true;
+    castRowId(tableName, id) {
+        if (id === null || id === undefined) return id;
+        return this.data[tableName]?._meta?.primaryKey?.strategy === 'autoIncrement' ? Number(id) : id;
     }
 
     async validateTableData(tableName, data) {
@@ -676,7 +1957,7 @@ class PulseaDB {
         const meta = this.data[tableName]?._meta;
         if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
 
-        const missingColumns = meta.columns.filter(col => !(col in data));
+        const missingColumns = meta.columns.filter(col => !(col in data) && !meta.validations[col]?.optional);
         if (missingColumns.length > 0) {
             throw new DatabaseError(`Missing required columns: ${missingColumns.join(', ')}`);
         }
@@ -686,33 +1967,46 @@ class PulseaDB {
             throw new DatabaseError(`Unknown columns: ${extraColumns.join(', ')}`);
         }
 
+        const hooks = this.columnHooks.get(tableName) || {};
+
         for (const [column, rules] of Object.entries(meta.validations)) {
             const value = data[column];
 
             if (value === null || value === undefined) {
+                if (rules.nullable || rules.optional) continue;
                 throw new DatabaseError(`Column ${column} cannot be null or undefined`);
             }
 
             if (rules.type) {
-                const actualType = typeof value;
-                if (actualType !== rules.type) {
+                if (rules.type === 'number' && typeof value === 'number' && isNaN(value)) {
+                    throw new DatabaseError(`Invalid numeric value for column ${column}`);
+                }
+                if (!ColumnTypes.getType(rules.type).check(value)) {
+                    const actualType = Array.isArray(value) ? 'array' : typeof value;
                     throw new DatabaseError(`Invalid type for column ${column}: expected ${rules.type}, got ${actualType}`);
                 }
             }
 
-            if (rules.type === 'number') {
-                if (isNaN(value)) {
-                    throw new DatabaseError(`Invalid numeric value for column ${column}`);
-                }
-                if (rules.min !== undefined && value < rules.min) {
+            if (ColumnTypes.RANGE_TYPES.includes(rules.type)) {
+                const comparable = rules.type === 'date' ? (bound => new Date(bound).getTime()) : (bound => bound);
+                if (rules.min !== undefined && comparable(value) < comparable(rules.min)) {
                     throw new DatabaseError(`Value for column ${column} is less than minimum: ${rules.min}`);
                 }
-                if (rules.max !== undefined && value > rules.max) {
+                if (rules.max !== undefined && comparable(value) > comparable(rules.max)) {
                     throw new DatabaseError(`Value for column ${column} is greater than maximum: ${rules.max}`);
                 }
             }
 
-            if (rules.pattern && rules.type === 'string') {
+            if (typeof value === 'string' || Array.isArray(value)) {
+                if (rules.minLength !== undefined && value.length < rules.minLength) {
+                    throw new DatabaseError(`Value for column ${column} is shorter than minimum length: ${rules.minLength}`);
+                }
+                if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+                    throw new DatabaseError(`Value for column ${column} is longer than maximum length: ${rules.maxLength}`);
+                }
+            }
+
+            if (rules.pattern && typeof value === 'string' && (!rules.type || ColumnTypes.PATTERN_TYPES.includes(rules.type))) {
                 const pattern = new RegExp(rules.pattern);
                 if (!pattern.test(String(value))) {
                     throw new DatabaseError(`Value for column ${column} does not match pattern: ${rules.pattern}`);
@@ -722,12 +2016,24 @@ class PulseaDB {
             if (rules.enum && !rules.enum.includes(value)) {
                 throw new DatabaseError(`Invalid value for column ${column}. Must be one of: ${rules.enum.join(', ')}`);
             }
+
+            if (rules.validateFunction) {
+                if (!hooks[column]?.validate) {
+                    throw new DatabaseError(`Validator for column ${column} is not registered. Use registerColumnHooks('${tableName}', ...)`);
+                }
+                const result = await hooks[column].validate(value, data);
+                if (result === false || typeof result === 'string') {
+                    throw new DatabaseError(typeof result === 'string' ? result : `Value for column ${column} failed custom validation`);
+                }
+            }
         }
 
         for (const [column, relation] of Object.entries(meta.relations)) {
             const value = data[column];
-            if (value !== undefined) {
-                const relatedValue = await this.get(`${relation.table}.${value}`);
+            if (value !== undefined && value !== null) {
+                const relatedValue = relation.column === 'id'
+                    ? await this.get(`${relation.table}.${value}`)
+                    : await this.exists(relation.table, { [relation.column]: value });
                 if (!relatedValue) {
                     throw new DatabaseError(`Related record not found in table ${relation.table} for value ${value}`);
                 }
@@ -737,9 +2043,136 @@ class PulseaDB {
         return true;
     }
 
+    async normalizeTableData(tableName, data) {
+        const meta = this.data[tableName]?._meta;
+        if (!meta || !data || typeof data !== 'object' || Array.isArray(data)) return data;
+
+        const hooks = this.columnHooks.get(tableName) || {};
+        const normalized = { ...data };
+
+        for (const [column, rules] of Object.entries(meta.validations)) {
+            if (!meta.columns.includes(column)) continue;
+            let value = normalized[column];
+
+            if (value === undefined) {
+                if (rules.default !== undefined) {
+                    value = rules.default !== null && typeof rules.default === 'object' ? cloneData(rules.default) : rules.default;
+                } else if (rules.defaultFunction) {
+                    if (!hooks[column]?.default) {
+                        throw new DatabaseError(`Default for column ${column} is not registered. Use registerColumnHooks('${tableName}', ...)`);
+                    }
+                    value = await hooks[column].default(normalized);
+                } else if (rules.optional) {
+                    value = null;
+                }
+            }
+
+            if (value !== undefined && value !== null && rules.type) {
+                value = ColumnTypes.getType(rules.type).coerce(value);
+            }
+            if (value !== undefined) normalized[column] = value;
+        }
+
+        return normalized;
+    }
+
+    checkValidationRules(column, rules) {
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            throw new DatabaseError(`Validation rules for column ${column} must be an object`);
+        }
+        if (rules.type && !ColumnTypes.getType(rules.type)) {
+            throw new DatabaseError(`Invalid type for column ${column}: ${rules.type}. Supported types: ${ColumnTypes.typeNames().join(', ')}`);
+        }
+        for (const option of ['minLength', 'maxLength']) {
+            if (rules[option] !== undefined && (!Number.isInteger(rules[option]) || rules[option] < 0)) {
+                throw new DatabaseError(`${option} for column ${column} must be a non-negative integer`);
+            }
+        }
+        if (rules.enum !== undefined && !Array.isArray(rules.enum)) {
+            throw new DatabaseError(`enum for column ${column} must be an array`);
+        }
+        if (rules.validate !== undefined && typeof rules.validate !== 'function') {
+            throw new DatabaseError(`validate for column ${column} must be a function`);
+        }
+        if (rules.unique !== undefined && typeof rules.unique !== 'boolean') {
+            throw new DatabaseError(`unique for column ${column} must be a boolean`);
+        }
+        return true;
+    }
+
+    splitValidations(validations) {
+        const rules = {};
+        const hooks = {};
+
+        for (const [column, columnRules] of Object.entries(validations)) {
+            const { default: defaultValue, validate, ...stored } = columnRules;
+            const columnHooks = {};
+
+            if (typeof defaultValue === 'function') {
+                columnHooks.default = defaultValue;
+                stored.defaultFunction = true;
+            } else if (defaultValue !== undefined) {
+                stored.default = defaultValue;
+            }
+            if (validate) {
+                columnHooks.validate = validate;
+                stored.validateFunction = true;
+            }
+
+            rules[column] = stored;
+            if (Object.keys(columnHooks).length) hooks[column] = columnHooks;
+        }
+
+        return { rules, hooks };
+    }
+
+    applyConfiguredColumnHooks() {
+        for (const [tableName, hooks] of Object.entries(this.configuredColumnHooks)) {
+            if (this.data[tableName]?._meta) this.registerColumnHooks(tableName, hooks);
+        }
+
+        for (const [tableName, table] of Object.entries(this.data)) {
+            if (tableName === '_meta' || !table?._meta) continue;
+            const hooks = this.columnHooks.get(tableName) || {};
+            for (const [column, rules] of Object.entries(table._meta.validations || {})) {
+                if (rules.validateFunction && !hooks[column]?.validate) {
+                    throw new DatabaseError(`Validator for column ${column} in table ${tableName} is not registered. Pass it in the "columnHooks" option`);
+                }
+                if (rules.defaultFunction && !hooks[column]?.default) {
+                    throw new DatabaseError(`Default for column ${column} in table ${tableName} is not registered. Pass it in the "columnHooks" option`);
+                }
+            }
+        }
+    }
+
+    registerColumnHooks(tableName, hooks = {}) {
+        const meta = this.data[tableName]?._meta;
+        if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
+
+        const registered = this.columnHooks.get(tableName) || {};
+        for (const [column, { default: defaultValue, validate } = {}] of Object.entries(hooks)) {
+            if (!meta.columns.includes(column)) {
+                throw new DatabaseError(`Column '${column}' does not exist in table '${tableName}'`);
+            }
+            if (defaultValue !== undefined && typeof defaultValue !== 'function') {
+                throw new DatabaseError(`Default hook for column ${column} must be a function`);
+            }
+            if (validate !== undefined && typeof validate !== 'function') {
+                throw new DatabaseError(`Validate hook for column ${column} must be a function`);
+            }
+            registered[column] = {
+                ...registered[column],
+                ...(defaultValue ? { default: defaultValue } : {}),
+                ...(validate ? { validate } : {})
+            };
+        }
+
+        this.columnHooks.set(tableName, registered);
+        return true;
+    }
+
     async update(key, updates) {
-        if (!key) throw new DatabaseError('Key is required');
-        if (typeof key !== 'string') throw new DatabaseError('Key must be a string');
+        this.checkKey(key);
         if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
             throw new DatabaseError('Updates must be a non-array object');
         }
@@ -750,6 +2183,9 @@ class PulseaDB {
             if (!await this.tableExists(tableName)) {
                 throw new DatabaseError(`Table '${tableName}' does not exist`);
             }
+            if (!this.inTransaction && this.hasReferentialActions(tableName, 'onUpdate')) {
+                return this.runInTransaction(tx => tx.update(key, updates));
+            }
 
             const currentData = await this.get(`${tableName}.${rowId}`);
             if (!currentData) {
@@ -762,9 +2198,17 @@ class PulseaDB {
                 updatedData[field] = value;
             }
 
-            await this.validateTableData(tableName, updatedData);
+            const primaryKey = this.data[tableName]._meta.primaryKey;
+            if (primaryKey?.strategy === 'natural' && String(updatedData[primaryKey.column]) !== rowId) {
+                throw new DatabaseError(`Primary key column '${primaryKey.column}' cannot be changed`);
+            }
+
+            const normalizedData = await this.normalizeTableData(tableName, updatedData);
+            await this.validateTableData(tableName, normalizedData);
 
-            return this.set(`${tableName}.${rowId}`, updatedData);
+            const result = await this.writeTableRow(tableName, rowId, normalizedData, { expiresAt: this.getExpiry(key) });
+            await this.applyUpdateActions(tableName, currentData, normalizedData);
+            return result;
         }
 
         const currentValue = await this.get(key);
@@ -781,35 +2225,23 @@ class PulseaDB {
             updatedValue[field] = value;
         }
 
-        return this.set(key, updatedValue);
+        return this.set(key, updatedValue, { expiresAt: this.getExpiry(key) });
     }
 
-    async query(tableName, { where = {}, orderBy = null, limit = null, offset = 0 } = {}) {
+    async query(tableName, { where = {}, orderBy = null, limit = null, offset = 0, include = null } = {}) {
         await this.ensureInitialized();
         const meta = this.data[tableName]?._meta;
         if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
+        this.matchesWhere({}, where);
 
         let results = [];
-        const table = await this.getTable(tableName);
+        const candidates = await this.indexManager.candidates(tableName, where);
+        const table = await this.getTable(tableName, candidates?.ids);
 
         for (const [id, row] of Object.entries(table)) {
-            let matches = true;
-            for (const [column, condition] of Object.entries(where)) {
-                if (typeof condition === 'object') {
-                    if (condition.$eq !== undefined && row[column] !== condition.$eq) matches = false;
-                    if (condition.$ne !== undefined && row[column] === condition.$ne) matches = false;
-                    if (condition.$gt !== undefined && row[column] <= condition.$gt) matches = false;
-                    if (condition.$gte !== undefined && row[column] < condition.$gte) matches = false;
-                    if (condition.$lt !== undefined && row[column] >= condition.$lt) matches = false;
-                    if (condition.$lte !== undefined && row[column] > condition.$lte) matches = false;
-                    if (condition.$in !== undefined && !condition.$in.includes(row[column])) matches = false;
-                    if (condition.$nin !== undefined && condition.$nin.includes(row[column])) matches = false;
-                } else {
-                    if (row[column] !== condition) matches = false;
-                }
-            }
-            if (matches) {
-                results.push({ id, ...row });
+            const result = { id: this.castRowId(tableName, id), ...row };
+            if (this.matchesWhere(result, where)) {
+                results.push(result);
             }
         }
 
@@ -826,69 +2258,531 @@ class PulseaDB {
         if (offset) results = results.slice(offset);
         if (limit) results = results.slice(0, limit);
 
-        return results;
+        return this.loadIncludes(tableName, results, include);
+    }
+
+    matchesWhere(row, where = {}) {
+        if (!where || typeof where !== 'object' || Array.isArray(where)) {
+            throw new DatabaseError('Where clause must be an object');
+        }
+
+        let matched = true;
+        for (const [key, condition] of Object.entries(where)) {
+            if (key === '$and' || key === '$or') {
+                if (!Array.isArray(condition)) {
+                    throw new DatabaseError(`${key} expects an array of conditions`);
+                }
+                const results = condition.map(clause => this.matchesWhere(row, clause));
+                if (key === '$and' ? results.includes(false) : !results.includes(true)) matched = false;
+            } else if (key === '$not') {
+                if (this.matchesWhere(row, condition)) matched = false;
+            } else if (key.startsWith('$')) {
+                throw new DatabaseError(`Unknown query operator: ${key}`);
+            } else if (!this.matchesCondition(this.resolvePath(row, key), condition)) {
+                matched = false;
+            }
+        }
+        return matched;
+    }
+
+    resolvePath(row, path) {
+        if (row === null || row === undefined) return undefined;
+        if (Object.prototype.hasOwnProperty.call(row, path) || !path.includes('.')) return row[path];
+
+        let current = row;
+        for (const part of path.split('.')) {
+            if (current === null || typeof current !== 'object') return undefined;
+            current = current[part];
+        }
+        return current;
+    }
+
+    matchesCondition(value, condition) {
+        if (condition instanceof RegExp) {
+            return typeof value === 'string' && condition.test(value);
+        }
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+            return value === condition;
+        }
+
+        const operators = Object.keys(condition);
+        if (!operators.some(op => op.startsWith('$'))) {
+            return JSON.stringify(value) === JSON.stringify(condition);
+        }
+
+        const options = condition.$options || '';
+        if (typeof options !== 'string') {
+            throw new DatabaseError('$options must be a string');
+        }
+        const ignoreCase = options.includes('i');
+        const fold = input => ignoreCase && typeof input === 'string' ? input.toLowerCase() : input;
+        const list = (op, operand) => {
+            if (!Array.isArray(operand)) throw new DatabaseError(`${op} expects an array`);
+            return operand.map(fold);
+        };
+        const text = (op, operand) => {
+            if (typeof operand !== 'string') throw new DatabaseError(`${op} expects a string`);
+            return typeof value === 'string' ? [fold(value), fold(operand)] : null;
+        };
+
+        let matched = true;
+        for (const op of operators) {
+            const operand = condition[op];
+            switch (op) {
+                case '$options':
+                    break;
+                case '$eq':
+                    if (operand !== undefined && fold(value) !== fold(operand)) matched = false;
+                    break;
+                case '$ne':
+                    if (operand !== undefined && fold(value) === fold(operand)) matched = false;
+                    break;
+                case '$gt':
+                    if (operand !== undefined && value <= operand) matched = false;
+                    break;
+                case '$gte':
+                    if (operand !== undefined && value < operand) matched = false;
+                    break;
+                case '$lt':
+                    if (operand !== undefined && value >= operand) matched = false;
+                    break;
+                case '$lte':
+                    if (operand !== undefined && value > operand) matched = false;
+                    break;
+                case '$in':
+                    if (!list(op, operand).includes(fold(value))) matched = false;
+                    break;
+                case '$nin':
+                    if (list(op, operand).includes(fold(value))) matched = false;
+                    break;
+                case '$exists':
+                    if ((value !== undefined && value !== null) !== Boolean(operand)) matched = false;
+                    break;
+                case '$regex': {
+                    const pattern = operand instanceof RegExp ? operand : new RegExp(operand, ignoreCase ? 'i' : '');
+                    if (typeof value !== 'string' || !pattern.test(value)) matched = false;
+                    break;
+                }
+                case '$like': {
+                    if (typeof operand !== 'string') throw new DatabaseError('$like expects a string');
+                    const pattern = operand.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+                    if (typeof value !== 'string' || !new RegExp(`^${pattern}$`, 'i').test(value)) matched = false;
+                    break;
+                }
+                case '$startsWith':
+                case '$endsWith': {
+                    const pair = text(op, operand);
+                    if (!pair || !(op === '$startsWith' ? pair[0].startsWith(pair[1]) : pair[0].endsWith(pair[1]))) matched = false;
+                    break;
+                }
+                case '$contains':
+                    if (Array.isArray(value)) {
+                        const needle = JSON.stringify(fold(operand));
+                        if (!value.some(item => JSON.stringify(fold(item)) === needle)) matched = false;
+                    } else {
+                        const pair = text(op, operand);
+                        if (!pair || !pair[0].includes(pair[1])) matched = false;
+                    }
+                    break;
+                case '$size':
+                    if (!Number.isInteger(operand)) throw new DatabaseError('$size expects an integer');
+                    if (!Array.isArray(value) || value.length !== operand) matched = false;
+                    break;
+                case '$not':
+                    if (this.matchesCondition(value, operand)) matched = false;
+                    break;
+                default:
+                    throw new DatabaseError(`Unknown query operator: ${op}`);
+            }
+        }
+        return matched;
     }
 
-    async findById(tableName, id) {
-        return this.get(`${tableName}.${id}`);
+    async findById(tableName, id, { include = null } = {}) {
+        const row = await this.get(`${tableName}.${id}`);
+        if (!row || !include) return row;
+
+        const [loaded] = await this.loadIncludes(tableName, [{ id: this.castRowId(tableName, id), ...row }], include);
+        if (!('id' in row)) delete loaded.id;
+        return loaded;
     }
 
-    async findOne(tableName, where = {}) {
-        const results = await this.query(tableName, { where, limit: 1 });
+    async findOne(tableName, where = {}, { include = null } = {}) {
+        const results = await this.query(tableName, { where, limit: 1, include });
         return results[0] || null;
     }
 
+    async loadIncludes(tableName, rows, include) {
+        if (!include || !rows.length) return rows;
+
+        for (const spec of this.resolveIncludes(tableName, include)) {
+            if (spec.type === 'belongsTo') {
+                const related = await this.fetchRelated(spec.target, spec.targetColumn, rows.map(row => row[spec.column]), spec.options);
+                const byKey = new Map(related.map(row => [String(row[spec.targetColumn]), row]));
+                for (const row of rows) {
+                    const match = row[spec.column] === null || row[spec.column] === undefined ? null : byKey.get(String(row[spec.column]));
+                    row[spec.as] = match ? this.projectRow(match, spec.options.select, spec.nested) : null;
+                }
+            } else if (spec.type === 'hasMany') {
+                const related = await this.fetchRelated(spec.target, spec.foreignKey, rows.map(row => row[spec.parentColumn]), spec.options);
+                const groups = this.groupRows(related, spec.foreignKey);
+                for (const row of rows) {
+                    const children = groups.get(String(row[spec.parentColumn])) || [];
+                    row[spec.as] = children.map(child => this.projectRow(child, spec.options.select, spec.nested));
+                }
+            } else {
+                const links = await this.fetchRelated(spec.pivot, spec.sourceKey, rows.map(row => row[spec.sourceColumn]));
+                const related = await this.fetchRelated(spec.target, spec.targetColumn, links.map(link => link[spec.targetKey]), spec.options);
+                const byKey = new Map(related.map(row => [String(row[spec.targetColumn]), row]));
+                const groups = this.groupRows(links, spec.sourceKey);
+                for (const row of rows) {
+                    row[spec.as] = (groups.get(String(row[spec.sourceColumn])) || [])
+                        .map(link => byKey.get(String(link[spec.targetKey])))
+                        .filter(Boolean)
+                        .map(match => this.projectRow(match, spec.options.select, spec.nested));
+                }
+            }
+        }
+
+        return rows;
+    }
+
+    resolveIncludes(tableName, include) {
+        const entries = Array.isArray(include)
+            ? include.map(name => [name, {}])
+            : Object.entries(include).map(([name, options]) => [name, options === true ? {} : options]);
+
+        return entries.map(([name, options = {}]) => {
+            const spec = this.resolveInclude(tableName, name, options);
+            spec.nested = options.include ? this.resolveIncludes(spec.target, options.include).map(({ as }) => as) : [];
+            return spec;
+        });
+    }
+
+    resolveInclude(tableName, name, options) {
+        const relations = this.data[tableName]?._meta?.relations || {};
+
+        if (options.through) {
+            const through = typeof options.through === 'string' ? { table: options.through } : options.through;
+            const target = options.table || name;
+            const pivot = this.data[through.table]?._meta;
+            if (!pivot) throw new DatabaseError(`Pivot table '${through.table}' does not exist`);
+            if (!this.data[target]?._meta) throw new DatabaseError(`Table '${target}' does not exist`);
+
+            const sourceKey = through.sourceKey || this.findRelationColumn(through.table, tableName);
+            const targetKey = through.targetKey || this.findRelationColumn(through.table, target);
+            return {
+                type: 'manyToMany',
+                as: options.as || name,
+                pivot: through.table,
+                sourceKey,
+                sourceColumn: pivot.relations[sourceKey].column,
+                targetKey,
+                target,
+                targetColumn: pivot.relations[targetKey].column,
+                options
+            };
+        }
+
+        if (relations[name]) {
+            return {
+                type: 'belongsTo',
+                as: options.as || (/.(Id|_id)$/.test(name) ? name.replace(/(Id|_id)$/, '') : relations[name].table),
+                column: name,
+                target: relations[name].table,
+                targetColumn: relations[name].column,
+                options
+            };
+        }
+
+        const target = options.table || name;
+        if (this.data[target]?._meta) {
+            const foreignKey = options.foreignKey || this.findRelationColumn(target, tableName);
+            const relation = this.data[target]._meta.relations?.[foreignKey];
+            if (!relation || relation.table !== tableName) {
+                throw new DatabaseError(`Column '${foreignKey}' in table '${target}' does not reference '${tableName}'`);
+            }
+            return {
+                type: 'hasMany',
+                as: options.as || name,
+                target,
+                foreignKey,
+                parentColumn: relation.column,
+                options
+            };
+        }
+
+        throw new DatabaseError(`Cannot include '${name}': no relation or table with that name for table '${tableName}'`);
+    }
+
+    findRelationColumn(tableName, referencedTable) {
+        const columns = Object.entries(this.data[tableName]?._meta?.relations || {})
+            .filter(([, relation]) => relation.table === referencedTable)
+            .map(([column]) => column);
+
+        if (!columns.length) {
+            throw new DatabaseError(`Table '${tableName}' has no relation to '${referencedTable}'`);
+        }
+        if (columns.length > 1) {
+            throw new DatabaseError(`Table '${tableName}' has several relations to '${referencedTable}' (${columns.join(', ')}). Specify which one to use`);
+        }
+        return columns[0];
+    }
+
+    async fetchRelated(tableName, column, values, { where = {}, include = null } = {}) {
+        const keys = [...new Set(values)].filter(value => value !== null && value !== undefined);
+        if (!keys.length) return [];
+
+        if (column !== 'id') {
+            return this.query(tableName, { where: { ...where, [column]: { $in: keys } }, include });
+        }
+
+        const rows = (await this.findByIds(tableName, keys)).filter(row => this.matchesWhere(row, where));
+        return this.loadIncludes(tableName, rows, include);
+    }
+
+    groupRows(rows, column) {
+        const groups = new Map();
+        for (const row of rows) {
+            const key = String(row[column]);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        }
+        return groups;
+    }
+
+    projectRow(row, select, keep = []) {
+        if (!select || select.includes('*')) return row;
+        const projected = {};
+        for (const column of [...select, ...keep]) {
+            if (Object.prototype.hasOwnProperty.call(row, column)) projected[column] = row[column];
+        }
+        return projected;
+    }
+
     async count(tableName, where = {}) {
+        await this.ensureInitialized();
+        if (!this.data[tableName]?._meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
+
+        const candidates = await this.indexManager.candidates(tableName, where);
+        if (candidates?.exact) {
+            return [...candidates.ids].filter(id => !this.isRowExpired(tableName, id)).length;
+        }
+
         const results = await this.query(tableName, { where });
         return results.length;
     }
 
-    async getTable(tableName) {
-        const meta = this.data[tableName]?._meta;
-        if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
+    async getTable(tableName, rowIds = null) {
+        const meta = this.data[tableName]?._meta;
+        if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
+
+        const table = { ...this.data[tableName] };
+        delete table._meta;
+
+        const decryptedTable = {};
+        const now = Date.now();
+        for (const [rowId, row] of Object.entries(table)) {
+            if (rowIds && !rowIds.has(rowId)) continue;
+            if (this.isRowExpired(tableName, rowId, now)) continue;
+            decryptedTable[rowId] = await this.decryptRow(row);
+        }
+
+        return decryptedTable;
+    }
+
+    async *iterate(tableName, { where = {}, batchSize = 100, include = null } = {}) {
+        await this.ensureInitialized();
+        if (!this.data[tableName]?._meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new DatabaseError('Batch size must be a positive integer');
+        }
+        this.matchesWhere({}, where);
+
+        const candidates = await this.indexManager.candidates(tableName, where);
+        const rowIds = Object.keys(this.data[tableName])
+            .filter(rowId => rowId !== '_meta' && (!candidates || candidates.ids.has(rowId)));
+
+        for (let i = 0; i < rowIds.length; i += batchSize) {
+            const table = this.data[tableName];
+            if (!table?._meta) return;
+
+            const now = Date.now();
+            const batch = rowIds.slice(i, i + batchSize)
+                .filter(rowId => table[rowId] && !this.isRowExpired(tableName, rowId, now));
+            const rows = await Promise.all(batch.map(async rowId => ({
+                id: this.castRowId(tableName, rowId),
+                ...await this.decryptRow(table[rowId])
+            })));
+
+            const matched = rows.filter(row => this.matchesWhere(row, where));
+            yield* await this.loadIncludes(tableName, matched, include);
+        }
+    }
+
+    createReadStream(tableName, options = {}) {
+        return Readable.from(this.iterate(tableName, options));
+    }
+
+    async listTables() {
+        const tables = [];
+        for (const key of this.keys()) {
+            const meta = this.data[key]?._meta;
+            if (meta) {
+                tables.push({
+                    name: key,
+                    columns: meta.columns,
+                    rowCount: meta.rowCount,
+                    created: meta.created
+                });
+            }
+        }
+        return tables;
+    }
+
+    async dropTable(tableName, { force = false } = {}) {
+        const meta = this.data[tableName]?._meta;
+        if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
+
+        const references = this.referencingRelations(tableName).filter(({ table }) => table !== tableName);
+        if (references.length) {
+            if (!force) {
+                const referencedBy = references.map(({ table, column }) => `${table}.${column}`).join(', ');
+                throw new DatabaseError(`Table '${tableName}' is referenced by ${referencedBy}. Use { force: true } to drop it anyway`);
+            }
+            if (!this.inTransaction) {
+                return this.runInTransaction(tx => tx.dropTable(tableName, { force }));
+            }
+
+            const rows = await this.query(tableName);
+            delete this.data[tableName];
+            this.indexManager.invalidate(tableName);
+            this.columnHooks.delete(tableName);
+            this.recordChange([tableName]);
+
+            for (const { table, column } of references) {
+                delete this.data[table]._meta.relations[column];
+                this.recordChange([table, '_meta']);
+            }
+            await this.applyDeleteActions(tableName, rows, references);
+            return true;
+        }
+
+        delete this.data[tableName];
+        this.indexManager.invalidate(tableName);
+        this.columnHooks.delete(tableName);
+        this.recordChange([tableName]);
+        if (this.autoSave) await this.save();
+        await this.emitChange('tableDropped', { key: tableName, table: tableName, oldValue: meta });
+        return true;
+    }
+
+    async tableExists(tableName) {
+        return !!(await this.get(`${tableName}._meta`));
+    }
+
+    registerMigration({ version, name = null, up, down = null } = {}) {
+        if (!Number.isInteger(version) || version <= 0) {
+            throw new DatabaseError('Migration version must be a positive integer');
+        }
+        if (typeof up !== 'function') {
+            throw new DatabaseError(`Migration ${version} must define an up() function`);
+        }
+        if (down !== null && typeof down !== 'function') {
+            throw new DatabaseError(`Migration ${version} down must be a function`);
+        }
+        if (this.migrations.has(version)) {
+            throw new DatabaseError(`Migration ${version} is already registered`);
+        }
+
+        this.migrations.set(version, { version, name: name || `migration_${version}`, up, down });
+        return this;
+    }
+
+    async migrationStatus() {
+        await this.ensureInitialized();
+        const applied = this.data._meta?.migrations || [];
+        const appliedVersions = new Set(applied.map(migration => migration.version));
+
+        return {
+            current: applied.reduce((max, migration) => Math.max(max, migration.version), 0),
+            applied,
+            pending: [...this.migrations.keys()]
+                .filter(version => !appliedVersions.has(version))
+                .sort((a, b) => a - b)
+        };
+    }
+
+    async migrate({ to } = {}) {
+        await this.ensureInitialized();
+        if (this.inTransaction) throw new DatabaseError('Cannot run migrations inside a transaction');
+        if (to !== undefined && (!Number.isInteger(to) || to < 0)) {
+            throw new DatabaseError('Migration target must be a non-negative integer');
+        }
+
+        while (this.migrationRun) {
+            await this.migrationRun.catch(() => {});
+        }
+
+        this.migrationRun = this.runMigrations(to);
+        try {
+            return await this.migrationRun;
+        } finally {
+            this.migrationRun = null;
+        }
+    }
+
+    async runMigrations(to) {
+        const { current, applied } = await this.migrationStatus();
+        const appliedVersions = new Set(applied.map(migration => migration.version));
+        const registered = [...this.migrations.values()].sort((a, b) => a.version - b.version);
+        const target = to === undefined
+            ? registered.reduce((max, migration) => Math.max(max, migration.version), current)
+            : to;
 
-        const table = { ...this.data[tableName] };
-        delete table._meta;
+        const toRevert = [...appliedVersions].filter(version => version > target).sort((a, b) => b - a);
+        const toApply = registered.filter(migration => migration.version <= target && !appliedVersions.has(migration.version));
 
-        const decryptedTable = {};
-        for (const [rowId, row] of Object.entries(table)) {
-            const decryptedRow = {};
-            for (const [field, val] of Object.entries(row)) {
-                decryptedRow[field] = await this.decryptValue(val);
-            }
-            decryptedTable[rowId] = decryptedRow;
+        for (const version of toRevert) {
+            const migration = this.migrations.get(version);
+            if (!migration) throw new DatabaseError(`Cannot revert migration ${version}: it is not registered`);
+            if (!migration.down) throw new DatabaseError(`Cannot revert migration ${version}: it has no down() function`);
         }
 
-        return decryptedTable;
-    }
+        const result = { from: current, to: current, applied: [], reverted: [] };
 
-    async listTables() {
-        const tables = [];
-        for (const key of this.keys()) {
-            const meta = this.data[key]?._meta;
-            if (meta) {
-                tables.push({
-                    name: key,
-                    columns: meta.columns,
-                    rowCount: meta.rowCount,
-                    created: meta.created
-                });
-            }
+        for (const version of toRevert) {
+            const migration = this.migrations.get(version);
+            await this.runMigrationStep(migration, 'down');
+            result.reverted.push(version);
         }
-        return tables;
-    }
 
-    async dropTable(tableName) {
-        const meta = this.data[tableName]?._meta;
-        if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
+        for (const migration of toApply) {
+            await this.runMigrationStep(migration, 'up');
+            result.applied.push(migration.version);
+        }
 
-        delete this.data[tableName];
-        if (this.autoSave) await this.save();
-        return true;
+        result.to = (await this.migrationStatus()).current;
+        return result;
     }
 
-    async tableExists(tableName) {
-        return !!(await this.get(`${tableName}._meta`));
+    async runMigrationStep(migration, direction) {
+        try {
+            await this.runInTransaction(async (tx) => {
+                await migration[direction](tx);
+
+                const applied = (tx.data._meta?.migrations || []).filter(entry => entry.version !== migration.version);
+                if (direction === 'up') {
+                    applied.push({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString() });
+                    applied.sort((a, b) => a.version - b.version);
+                }
+                tx.data._meta = { ...tx.data._meta, migrations: applied };
+            }, true);
+        } catch (error) {
+            throw new DatabaseError(`Migration ${migration.version} (${migration.name}) ${direction} failed: ${error.message}`);
+        }
+
+        this.debug && DatabaseError.info(`Migration ${migration.version} (${migration.name}) ${direction === 'up' ? 'applied' : 'reverted'}`);
     }
 
     async ensureInitialized() {
@@ -903,6 +2797,7 @@ class PulseaDB {
             if (value === null || value === undefined) return 'NULL';
             if (typeof value === 'number') return value.toString();
             if (typeof value === 'boolean') return value ? '1' : '0';
+            if (typeof value === 'object') value = JSON.stringify(value);
             return `'${String(value).replace(/'/g, "''").replace(/\\/g, "\\\\")}'`;
         };
 
@@ -913,6 +2808,13 @@ class PulseaDB {
             return identifier;
         };
 
+        const kvData = Object.fromEntries(
+            Object.entries(data).filter(([, value]) => !value?._meta)
+        );
+        if (Object.keys(kvData).length) {
+            sql += `-- ${SQLParser.KV_PREFIX} ${JSON.stringify(kvData)}\n\n`;
+        }
+
         for (const [tableName, tableData] of Object.entries(data)) {
             if (!tableData || typeof tableData !== 'object') continue;
             if (!tableData._meta) continue;
@@ -920,15 +2822,17 @@ class PulseaDB {
             const { columns = [], validations = {}, indexes = [] } = tableData._meta;
             const safeTableName = validateIdentifier(tableName);
 
+            sql += `-- ${SQLParser.META_PREFIX} ${safeTableName} ${JSON.stringify(tableData._meta)}\n`;
+
             sql += `CREATE TABLE IF NOT EXISTS ${safeTableName} (\n`;
-            sql += `  id VARCHAR(255) PRIMARY KEY,\n`;
+            sql += `  id ${this.primaryKeySQL(tableData._meta)},\n`;
             sql += columns.map(col => {
                 const safeColName = validateIdentifier(col);
                 const validation = validations[col] || {};
-                let type = 'TEXT';
-                if (validation.type === 'number') type = 'NUMERIC';
-                if (validation.type === 'boolean') type = 'BOOLEAN';
-                return `  ${safeColName} ${type}`;
+                let definition = `  ${safeColName} ${ColumnTypes.sqlTypeFor(validation)}`;
+                if (validations[col] && !validation.nullable && !validation.optional) definition += ' NOT NULL';
+                if (validation.default !== undefined) definition += ` DEFAULT ${escapeSQLValue(validation.default)}`;
+                return definition;
             }).join(',\n');
             sql += '\n);\n\n';
 
@@ -937,6 +2841,10 @@ class PulseaDB {
                 sql += `CREATE INDEX IF NOT EXISTS idx_${safeTableName}_${safeIndexName} `;
                 sql += `ON ${safeTableName}(${safeIndexName});\n`;
             }
+            for (const constraint of this.uniqueConstraints(tableName, tableData._meta)) {
+                sql += `CREATE UNIQUE INDEX IF NOT EXISTS uq_${safeTableName}_${validateIdentifier(constraint.name)} `;
+                sql += `ON ${safeTableName}(${constraint.columns.map(validateIdentifier).join(', ')});\n`;
+            }
             sql += '\n';
 
             for (const [id, row] of Object.entries(tableData)) {
@@ -944,7 +2852,8 @@ class PulseaDB {
                 const columns = Object.keys(row);
                 const values = Object.values(row).map(escapeSQLValue);
                 sql += `INSERT INTO ${safeTableName} (id, ${columns.join(', ')}) `;
-                sql += `VALUES (${escapeSQLValue(id)}, ${values.join(', ')});\n`;
+                const rowId = tableData._meta.primaryKey?.strategy === 'autoIncrement' ? Number(id) : id;
+                sql += `VALUES (${escapeSQLValue(rowId)}, ${values.join(', ')});\n`;
             }
             sql += '\n';
         }
@@ -952,6 +2861,16 @@ class PulseaDB {
         return sql;
     }
 
+    primaryKeySQL({ primaryKey, validations = {} }) {
+        switch (primaryKey?.strategy) {
+            case 'autoIncrement': return 'INTEGER PRIMARY KEY AUTOINCREMENT';
+            case 'uuid': return 'UUID PRIMARY KEY';
+            case 'ulid': return 'CHAR(26) PRIMARY KEY';
+            case 'natural': return `${ColumnTypes.sqlTypeFor(validations[primaryKey.column])} PRIMARY KEY`;
+            default: return 'VARCHAR(255) PRIMARY KEY';
+        }
+    }
+
     startAutoBackup() {
         if (this.backupIntervalId) {
             clearInterval(this.backupIntervalId);
@@ -968,19 +2887,37 @@ class PulseaDB {
             clearInterval(this.backupIntervalId);
             this.backupIntervalId = null;
         }
+        this.stopExpirySweep();
+    }
+
+    table(tableName) {
+        return new QueryBuilder(this, tableName);
+    }
+
+    async sql(statement, params = []) {
+        await this.ensureInitialized();
+        if (typeof statement !== 'string' || !statement.trim()) {
+            throw new DatabaseError('SQL statement must be a non-empty string');
+        }
+        if (!Array.isArray(params)) {
+            throw new DatabaseError('SQL parameters must be an array');
+        }
+
+        return new SQLExecutor(this).execute(SQLStatement.parse(statement, params));
     }
 
-    async select(tableName, { columns = ['*'], where = {}, orderBy = null, limit = null, offset = 0 } = {}) {
+    async select(tableName, { columns = ['*'], where = {}, orderBy = null, limit = null, offset = 0, include = null } = {}) {
         await this.ensureInitialized();
         const meta = this.data[tableName]?._meta;
         if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
 
-        let results = await this.query(tableName, { where, orderBy, limit, offset });
+        let results = await this.query(tableName, { where, orderBy, limit, offset, include });
 
         if (columns[0] !== '*') {
+            const included = include ? this.resolveIncludes(tableName, include).map(({ as }) => as) : [];
             results = results.map(row => {
                 const selectedColumns = {};
-                columns.forEach(col => {
+                [...columns, ...included].forEach(col => {
                     if (row.hasOwnProperty(col)) {
                         selectedColumns[col] = row[col];
                     }
@@ -992,16 +2929,47 @@ class PulseaDB {
         return results;
     }
 
-    async insert(tableName, data) {
+    async writeTableRow(tableName, rowId, value, { ttl = null, expiresAt = null } = {}) {
+        const meta = this.data[tableName]._meta;
+        await this.checkUniqueConstraints(tableName, rowId, value);
+        if (ttl === null && expiresAt === null && meta.ttl) ttl = meta.ttl;
+
+        const encryptedData = {};
+        for (const [field, val] of Object.entries(value)) {
+            encryptedData[field] = await this.encryptValue(val);
+        }
+
+        const previous = this.data[tableName][rowId];
+        this.data[tableName][rowId] = encryptedData;
+        this.indexManager.add(tableName, rowId, value);
+
+        meta.rowCount = Object.keys(this.data[tableName]).filter(k => k !== '_meta').length;
+        this.setExpiry(`${tableName}.${rowId}`, this.resolveExpiry(ttl, expiresAt));
+        this.recordChange([tableName, rowId]);
+        this.recordChange([tableName, '_meta']);
+
+        if (this.autoSave) await this.save();
+        await this.emitChange(previous ? 'update' : 'insert', {
+            key: `${tableName}.${rowId}`,
+            table: tableName,
+            rowId,
+            oldValue: () => this.decryptRow(previous),
+            newValue: value
+        });
+        return value;
+    }
+
+    async insert(tableName, data, { ttl = null, expiresAt = null } = {}) {
         await this.ensureInitialized();
         const meta = this.data[tableName]?._meta;
         if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
 
-        const id = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        data = await this.normalizeTableData(tableName, data);
         await this.validateTableData(tableName, data);
-        await this.set(`${tableName}.${id}`, data);
+        const id = this.generateRowId(tableName, data);
+        await this.writeTableRow(tableName, id, data, { ttl, expiresAt });
 
-        return { id, ...data };
+        return { id: this.castRowId(tableName, id), ...data };
     }
 
     async insertMany(tableName, dataArray) {
@@ -1009,48 +2977,61 @@ class PulseaDB {
             throw new DatabaseError('Data must be an array');
         }
 
-        const results = [];
-        for (const data of dataArray) {
-            const result = await this.insert(tableName, data);
-            results.push(result);
-        }
+        return this.runInTransaction(async (tx) => {
+            const results = [];
+            for (const data of dataArray) {
+                const result = await tx.insert(tableName, data);
+                results.push(result);
+            }
 
-        return results;
+            return results;
+        });
     }
 
     async updateMany(tableName, where = {}, updates) {
-        const results = await this.query(tableName, { where });
-        const updatedRows = [];
+        return this.runInTransaction(async (tx) => {
+            const results = await tx.query(tableName, { where });
+            const updatedRows = [];
 
-        for (const row of results) {
-            const updated = await this.update(`${tableName}.${row.id}`, updates);
-            updatedRows.push(updated);
-        }
+            for (const row of results) {
+                const updated = await tx.update(`${tableName}.${row.id}`, updates);
+                updatedRows.push(updated);
+            }
 
-        return updatedRows;
+            return updatedRows;
+        });
     }
 
     async delete(tableName, where = {}) {
         if (typeof tableName === 'string' && !where) {
             return super.delete(tableName);
         }
+        if (!this.inTransaction && this.hasReferentialActions(tableName, 'onDelete')) {
+            return this.runInTransaction(tx => tx.delete(tableName, where));
+        }
 
         const results = await this.query(tableName, { where });
         const deletedCount = results.length;
 
         for (const row of results) {
-            await this.delete(`${tableName}.${row.id}`);
+            await this.deleteKey(`${tableName}.${row.id}`);
         }
+        await this.applyDeleteActions(tableName, results);
 
         return { deletedCount };
     }
 
     async bulkDelete(tableName, where = {}) {
+        if (!this.inTransaction && this.hasReferentialActions(tableName, 'onDelete')) {
+            return this.runInTransaction(tx => tx.bulkDelete(tableName, where));
+        }
+
         const results = await this.query(tableName, { where });
         const deletedIds = results.map(row => row.id);
         const deletedCount = deletedIds.length;
 
-        await Promise.all(deletedIds.map(id => super.delete(`${tableName}.${id}`)));
+        await Promise.all(deletedIds.map(id => this.deleteKey(`${tableName}.${id}`)));
+        await this.applyDeleteActions(tableName, results);
 
         return { deletedCount, deletedIds };
     }
@@ -1059,92 +3040,298 @@ class PulseaDB {
         const meta = this.data[tableName]?._meta;
         if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
 
+        const hasActions = this.hasReferentialActions(tableName, 'onDelete');
+        if (hasActions && !this.inTransaction) {
+            return this.runInTransaction(tx => tx.truncate(tableName));
+        }
+        const rows = hasActions ? await this.query(tableName) : [];
+
         const backup = { ...this.data[tableName] };
-        await this.delete(tableName);
-        this.data[tableName] = { _meta: backup._meta };
+        const { expires, ...truncatedMeta } = backup._meta;
+        this.data[tableName] = { _meta: { ...truncatedMeta, rowCount: 0 } };
+        this.indexManager.invalidate(tableName);
+        this.recordChange([tableName]);
+        await this.applyDeleteActions(tableName, rows);
         if (this.autoSave) await this.save();
 
+        for (const [rowId, row] of Object.entries(backup)) {
+            if (rowId === '_meta') continue;
+            await this.emitChange('delete', {
+                key: `${tableName}.${rowId}`,
+                table: tableName,
+                rowId,
+                oldValue: () => this.decryptRow(row)
+            });
+        }
+
         return true;
     }
 
-    async join(mainTable, joinTable, { on, type = 'INNER', select = ['*'] } = {}) {
-        if (!on || !on.from || !on.to) {
-            throw new DatabaseError('Join conditions must specify "from" and "to" columns');
+    referencingRelations(tableName) {
+        const references = [];
+        for (const table of this.keys()) {
+            const relations = this.data[table]?._meta?.relations || {};
+            for (const [column, relation] of Object.entries(relations)) {
+                if (relation.table === tableName) references.push({ table, column, relation });
+            }
         }
+        return references;
+    }
 
-        const mainData = await this.getTable(mainTable);
-        const joinData = await this.getTable(joinTable);
+    hasReferentialActions(tableName, event) {
+        return this.referencingRelations(tableName)
+            .some(({ relation }) => (relation[event] || 'noAction') !== 'noAction');
+    }
 
-        const results = [];
-        for (const [mainId, mainRow] of Object.entries(mainData)) {
-            const matches = Object.entries(joinData).filter(([_, joinRow]) => 
-                mainRow[on.from] === joinRow[on.to]
-            );
+    async applyDeleteActions(tableName, rows, references = this.referencingRelations(tableName)) {
+        if (!rows.length) return;
 
-            if (matches.length > 0) {
-                matches.forEach(([joinId, joinRow]) => {
-                    const merged = {
-                        [`${mainTable}_id`]: mainId,
-                        [`${joinTable}_id`]: joinId,
-                        ...mainRow,
-                        ...Object.fromEntries(
-                            Object.entries(joinRow).map(([k, v]) => [`${joinTable}_${k}`, v])
-                        )
-                    };
-
-                    if (select[0] !== '*') {
-                        const selected = {};
-                        select.forEach(col => {
-                            if (merged.hasOwnProperty(col)) {
-                                selected[col] = merged[col];
-                            }
-                        });
-                        results.push(selected);
-                    } else {
-                        results.push(merged);
-                    }
+        const cleared = new Map();
+
+        for (const { table, column, relation } of references) {
+            const action = relation.onDelete || 'noAction';
+            if (action === 'noAction' || !this.data[table]?._meta) continue;
+
+            let values = [...new Set(rows.map(row => row[relation.column]))]
+                .filter(value => value !== null && value !== undefined);
+            if (relation.column !== 'id' && this.data[tableName]?._meta) {
+                const remaining = await Promise.all(values.map(value => this.exists(tableName, { [relation.column]: value })));
+                values = values.filter((_, i) => !remaining[i]);
+            }
+            if (!values.length) continue;
+
+            const where = { [column]: { $in: [...new Set(values.flatMap(keyForms))] } };
+            if (action === 'cascade') {
+                await this.delete(table, where);
+                continue;
+            }
+
+            const children = await this.query(table, { where });
+            if (!children.length) continue;
+            if (action === 'restrict') {
+                throw new DatabaseError(`Cannot delete from '${tableName}': row ${children[0].id} in '${table}' still references it`);
+            }
+            for (const child of children) {
+                const key = `${table}.${child.id}`;
+                cleared.set(key, { ...cleared.get(key), [column]: null });
+            }
+        }
+
+        for (const [key, updates] of cleared) {
+            if (await this.get(key) !== null) await this.update(key, updates);
+        }
+    }
+
+    async applyUpdateActions(tableName, before, after) {
+        for (const { table, column, relation } of this.referencingRelations(tableName)) {
+            const action = relation.onUpdate || 'noAction';
+            if (action === 'noAction' || relation.column === 'id') continue;
+
+            const oldValue = before[relation.column];
+            if (oldValue === null || oldValue === undefined || oldValue === after[relation.column]) continue;
+            if (await this.exists(tableName, { [relation.column]: oldValue })) continue;
+
+            const children = await this.query(table, { where: { [column]: oldValue } });
+            if (!children.length) continue;
+            if (action === 'restrict') {
+                throw new DatabaseError(`Cannot update '${tableName}': row ${children[0].id} in '${table}' still references ${relation.column} ${oldValue}`);
+            }
+            for (const child of children) {
+                await this.update(`${table}.${child.id}`, { [column]: action === 'cascade' ? after[relation.column] : null });
+            }
+        }
+    }
+
+    async join(mainTable, joins, options = {}) {
+        await this.ensureInitialized();
+        if (typeof joins === 'string') {
+            joins = [{ table: joins, on: options.on, type: options.type }];
+        }
+        if (!Array.isArray(joins) || !joins.length) {
+            throw new DatabaseError('Join requires a table name or an array of joins');
+        }
+        const { where = {}, orderBy = null, limit = null, offset = 0, select = ['*'] } = options;
+
+        const main = this.joinSource(mainTable);
+        const sources = [main];
+        const plans = [];
+        for (const spec of joins) {
+            const source = this.joinSource(spec);
+            if (sources.some(({ as }) => as === source.as)) {
+                throw new DatabaseError(`Join alias '${source.as}' is used twice. Give self-joins an alias with "as"`);
+            }
+            plans.push({ source, type: this.joinType(spec.type), keys: this.joinKeys(spec.on, sources, source), where: spec.where || {} });
+            sources.push(source);
+        }
+
+        const tables = new Map();
+        const rowsOf = async (source, filter = {}) => {
+            if (!tables.has(source.table)) {
+                const table = await this.getTable(source.table);
+                tables.set(source.table, Object.entries(table).map(([rowId, row]) => ({ id: this.castRowId(source.table, rowId), ...row })));
+            }
+            return tables.get(source.table).filter(row => this.matchesWhere(row, filter));
+        };
+
+        let tuples = (await rowsOf(main)).map(row => ({ [main.as]: row }));
+        for (const { source, type, keys, where: filter } of plans) {
+            const joinRows = await rowsOf(source, filter);
+            const hashKey = values => values.some(value => value === null || value === undefined) ? null : JSON.stringify(values);
+
+            const buckets = new Map();
+            joinRows.forEach((row, index) => {
+                const key = hashKey(keys.map(({ to }) => this.resolvePath(row, to)));
+                if (key === null) return;
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(index);
+            });
+
+            const matched = new Set();
+            const next = [];
+            for (const tuple of tuples) {
+                const key = hashKey(keys.map(({ from }) => this.resolvePath(tuple[from.as], from.column)));
+                const indexes = (key !== null && buckets.get(key)) || [];
+                indexes.forEach(index => {
+                    matched.add(index);
+                    next.push({ ...tuple, [source.as]: joinRows[index] });
                 });
-            } else if (type === 'LEFT' || type === 'OUTER') {
-                const merged = {
-                    [`${mainTable}_id`]: mainId,
-                    [`${joinTable}_id`]: null,
-                    ...mainRow,
-                    ...Object.fromEntries(
-                        Object.keys(joinData[Object.keys(joinData)[0]] || {})
-                            .map(k => [`${joinTable}_${k}`, null])
-                    )
-                };
+                if (!indexes.length && (type === 'LEFT' || type === 'FULL')) {
+                    next.push({ ...tuple, [source.as]: null });
+                }
+            }
+            if (type === 'RIGHT' || type === 'FULL') {
+                const matchedRows = new Set([...matched].map(index => joinRows[index]));
+                (await rowsOf(source)).forEach(row => {
+                    if (!matchedRows.has(row)) next.push({ [source.as]: row });
+                });
+            }
+            tuples = next;
+        }
+
+        let results = tuples.map(tuple => this.flattenJoinRow(tuple, sources))
+            .filter(row => this.matchesWhere(row, where));
+
+        const order = typeof orderBy === 'string'
+            ? [{ column: orderBy.split(' ')[0], direction: orderBy.split(' ')[1] || 'asc' }]
+            : orderBy || [];
+        if (order.length) {
+            results.sort((a, b) => {
+                for (const { column, direction = 'asc' } of order) {
+                    if (a[column] < b[column]) return direction === 'asc' ? -1 : 1;
+                    if (a[column] > b[column]) return direction === 'asc' ? 1 : -1;
+                }
+                return 0;
+            });
+        }
+        if (offset) results = results.slice(offset);
+        if (limit) results = results.slice(0, limit);
 
-                if (select[0] !== '*') {
-                    const selected = {};
-                    select.forEach(col => {
-                        if (merged.hasOwnProperty(col)) {
-                            selected[col] = merged[col];
-                        }
-                    });
-                    results.push(selected);
-                } else {
-                    results.push(merged);
+        if (select[0] === '*') return results;
+        return results.map(row => {
+            const selected = {};
+            select.forEach(col => {
+                if (row.hasOwnProperty(col)) {
+                    selected[col] = row[col];
                 }
+            });
+            return selected;
+        });
+    }
+
+    joinSource(spec) {
+        const { table, as } = typeof spec === 'string' ? { table: spec } : spec || {};
+        const meta = this.data[table]?._meta;
+        if (!meta) throw new DatabaseError(`Table '${table}' does not exist`);
+        return { table, as: as || table, columns: meta.columns };
+    }
+
+    joinType(type = 'INNER') {
+        const normalized = String(type).toUpperCase().replace(/\s+OUTER$/, '');
+        if (normalized === 'OUTER') return 'FULL';
+        if (!['INNER', 'LEFT', 'RIGHT', 'FULL'].includes(normalized)) {
+            throw new DatabaseError(`Invalid join type: ${type}. Supported types are INNER, LEFT, RIGHT and FULL`);
+        }
+        return normalized;
+    }
+
+    joinKeys(on, sources, target) {
+        if (!on || !on.from || !on.to) {
+            throw new DatabaseError('Join conditions must specify "from" and "to" columns');
+        }
+        const from = [].concat(on.from);
+        const to = [].concat(on.to);
+        if (from.length !== to.length) {
+            throw new DatabaseError('Join "from" and "to" must list the same number of columns');
+        }
+
+        const reference = (column, candidates) => {
+            const dot = column.indexOf('.');
+            const source = dot > 0 && candidates.find(({ as }) => as === column.slice(0, dot));
+            return source ? { as: source.as, column: column.slice(dot + 1) } : { as: candidates[0].as, column };
+        };
+
+        return from.map((column, i) => {
+            const left = reference(column, sources);
+            const right = reference(to[i], [target, ...sources]);
+            if (right.as !== target.as) {
+                throw new DatabaseError(`Join "to" column '${to[i]}' must belong to '${target.as}'`);
             }
+            return { from: left, to: right.column };
+        });
+    }
+
+    flattenJoinRow(tuple, sources) {
+        const [main, ...joined] = sources;
+        const row = {};
+        for (const { as } of sources) {
+            row[`${as}_id`] = tuple[as] ? tuple[as].id : null;
         }
 
-        return results;
+        const mainRow = tuple[main.as];
+        for (const column of main.columns) row[column] = null;
+        if (mainRow) {
+            Object.entries(mainRow).forEach(([key, value]) => {
+                if (key !== 'id') row[key] = value;
+            });
+        }
+
+        for (const { as, columns } of joined) {
+            const joinRow = tuple[as];
+            for (const column of columns) row[`${as}_${column}`] = null;
+            if (joinRow) {
+                Object.entries(joinRow).forEach(([key, value]) => {
+                    if (key !== 'id') row[`${as}_${key}`] = value;
+                });
+            }
+        }
+        return row;
     }
 
     async describe(tableName) {
         const meta = this.data[tableName]?._meta;
         if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
+        const uniqueConstraints = this.uniqueConstraints(tableName);
 
         return {
             tableName,
-            columns: meta.columns.map(col => ({
-                name: col,
-                type: meta.validations[col]?.type || 'string',
-                constraints: meta.validations[col] || {},
-                indexed: meta.indexes.includes(col)
-            })),
+            columns: meta.columns.map(col => {
+                const rules = meta.validations[col] || {};
+                return {
+                    name: col,
+                    type: rules.type || 'string',
+                    sqlType: ColumnTypes.sqlTypeFor(rules),
+                    nullable: !!(rules.nullable || rules.optional),
+                    optional: !!rules.optional,
+                    default: rules.defaultFunction ? '[Function]' : rules.default !== undefined ? rules.default : null,
+                    customValidator: !!rules.validateFunction,
+                    unique: uniqueConstraints.some(constraint => constraint.columns.length === 1 && constraint.columns[0] === col),
+                    constraints: rules,
+                    indexed: meta.indexes.includes(col)
+                };
+            }),
+            unique: uniqueConstraints,
             relations: meta.relations || {},
+            primaryKey: meta.primaryKey || { strategy: 'timestamp' },
             created: meta.created,
             rowCount: meta.rowCount
         };
@@ -1154,10 +3341,23 @@ class PulseaDB {
         return this.listTables();
     }
 
-    async alterTable(tableName, { addColumns = [], dropColumns = [], modifyValidations = {}, addIndexes = [], dropIndexes = [] } = {}) {
+    async alterTable(tableName, { addColumns = [], dropColumns = [], modifyValidations = {}, addIndexes = [], dropIndexes = [], addUnique = [], dropUnique = [] } = {}) {
         const meta = this.data[tableName]?._meta;
         if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
 
+        let unique = null;
+        if (addUnique.length) {
+            const columns = [...meta.columns.filter(column => !dropColumns.includes(column)), ...addColumns];
+            const existing = (meta.unique || []).filter(constraint => !constraint.columns.some(column => dropColumns.includes(column)));
+            unique = this.normalizeUniqueConstraints(addUnique, columns, existing);
+            for (const constraint of unique.slice(existing.length)) {
+                const duplicate = await this.findDuplicateRows(tableName, constraint.columns);
+                if (duplicate) {
+                    throw new DatabaseError(`Cannot add unique constraint '${constraint.name}': rows ${duplicate.join(' and ')} share the same values`);
+                }
+            }
+        }
+
         for (const column of addColumns) {
             if (meta.columns.includes(column)) {
                 throw new DatabaseError(`Column '${column}' already exists in table '${tableName}'`);
@@ -1172,9 +3372,14 @@ class PulseaDB {
             if (!meta.columns.includes(column)) {
                 throw new DatabaseError(`Column '${column}' does not exist in table '${tableName}'`);
             }
+            if (meta.primaryKey?.column === column) {
+                throw new DatabaseError(`Cannot drop primary key column '${column}'`);
+            }
             meta.columns = meta.columns.filter(col => col !== column);
             delete meta.validations[column];
+            delete this.columnHooks.get(tableName)?.[column];
             meta.indexes = meta.indexes.filter(idx => idx !== column);
+            if (meta.unique) meta.unique = meta.unique.filter(constraint => !constraint.columns.includes(column));
 
             const table = this.data[tableName];
             for (const key in table) {
@@ -1188,7 +3393,20 @@ class PulseaDB {
             if (!meta.columns.includes(column)) {
                 throw new DatabaseError(`Column '${column}' does not exist in table '${tableName}'`);
             }
-            meta.validations[column] = rules;
+            this.checkValidationRules(column, rules);
+            if (rules.unique && !meta.validations[column]?.unique) {
+                const duplicate = await this.findDuplicateRows(tableName, [column]);
+                if (duplicate) {
+                    throw new DatabaseError(`Cannot make column '${column}' unique: rows ${duplicate.join(' and ')} share the same value`);
+                }
+            }
+            const { rules: stored, hooks } = this.splitValidations({ [column]: rules });
+            meta.validations[column] = stored[column];
+
+            const registered = this.columnHooks.get(tableName) || {};
+            if (hooks[column]) registered[column] = hooks[column];
+            else delete registered[column];
+            this.columnHooks.set(tableName, registered);
         }
 
         for (const column of addIndexes) {
@@ -1204,65 +3422,72 @@ class PulseaDB {
             meta.indexes = meta.indexes.filter(idx => idx !== column);
         }
 
+        if (unique) meta.unique = unique;
+
+        for (const name of dropUnique) {
+            if (!(meta.unique || []).some(constraint => constraint.name === name)) {
+                throw new DatabaseError(`Unique constraint '${name}' does not exist in table '${tableName}'`);
+            }
+            meta.unique = meta.unique.filter(constraint => constraint.name !== name);
+        }
+
+        this.indexManager.invalidate(tableName);
+        this.recordChange([tableName]);
+
         if (this.autoSave) await this.save();
         return true;
     }
 
-    async groupBy(tableName, { columns = [], where = {}, having = null } = {}) {
+    async groupBy(tableName, { columns = [], where = {}, aggregates = null, having = null, orderBy = null, limit = null, offset = 0 } = {}) {
         if (!columns.length) {
             throw new DatabaseError('At least one column must be specified for GROUP BY');
         }
+        const specs = aggregates && aggregates.map(spec => Aggregates.normalize(spec));
+        if (having) this.matchesWhere({}, having);
 
         const results = await this.query(tableName, { where });
         const groups = new Map();
 
         for (const row of results) {
-            const groupKey = columns.map(col => row[col]).join('|');
+            const groupKey = JSON.stringify(columns.map(col => this.resolvePath(row, col) ?? null));
             if (!groups.has(groupKey)) {
                 groups.set(groupKey, []);
             }
             groups.get(groupKey).push(row);
         }
 
-        let groupedResults = Array.from(groups.entries()).map(([key, rows]) => {
+        let groupedResults = Array.from(groups.values()).map(rows => {
             const groupValues = {};
-            columns.forEach((col, index) => {
-                groupValues[col] = rows[0][col];
+            columns.forEach(col => {
+                groupValues[col] = this.resolvePath(rows[0], col);
             });
 
-            groupValues.count = rows.length;
-            
-            const numericFields = Object.keys(rows[0]).filter(
-                key => !columns.includes(key) && typeof rows[0][key] === 'number'
-            );
-
-            for (const field of numericFields) {
-                groupValues[`sum_${field}`] = rows.reduce((sum, row) => sum + (row[field] || 0), 0);
-                groupValues[`avg_${field}`] = groupValues[`sum_${field}`] / rows.length;
-                groupValues[`min_${field}`] = Math.min(...rows.map(row => row[field] || 0));
-                groupValues[`max_${field}`] = Math.max(...rows.map(row => row[field] || 0));
-            }
+            const groupSpecs = specs || [{ fn: 'count' }, ...Object.keys(rows[0])
+                .filter(key => !columns.includes(key) && key !== 'id' && typeof rows[0][key] === 'number')
+                .flatMap(field => ['sum', 'avg', 'min', 'max'].map(fn => ({ fn, column: field })))]
+                .map(spec => Aggregates.normalize(spec));
 
-            return groupValues;
+            return { ...groupValues, ...Aggregates.compute(groupSpecs, rows, (row, column) => this.resolvePath(row, column)) };
         });
 
         if (having) {
-            groupedResults = groupedResults.filter(group => {
-                for (const [field, condition] of Object.entries(having)) {
-                    if (typeof condition === 'object') {
-                        if (condition.$gt !== undefined && !(group[field] > condition.$gt)) return false;
-                        if (condition.$gte !== undefined && !(group[field] >= condition.$gte)) return false;
-                        if (condition.$lt !== undefined && !(group[field] < condition.$lt)) return false;
-                        if (condition.$lte !== undefined && !(group[field] <= condition.$lte)) return false;
-                        if (condition.$eq !== undefined && group[field] !== condition.$eq) return false;
-                        if (condition.$ne !== undefined && group[field] === condition.$ne) return false;
-                    } else if (group[field] !== condition) {
-                        return false;
-                    }
+            groupedResults = groupedResults.filter(group => this.matchesWhere(group, having));
+        }
+
+        const order = typeof orderBy === 'string'
+            ? [{ column: orderBy.split(' ')[0], direction: orderBy.split(' ')[1] || 'asc' }]
+            : orderBy || [];
+        if (order.length) {
+            groupedResults.sort((a, b) => {
+                for (const { column, direction = 'asc' } of order) {
+                    if (a[column] < b[column]) return direction === 'asc' ? -1 : 1;
+                    if (a[column] > b[column]) return direction === 'asc' ? 1 : -1;
                 }
-                return true;
+                return 0;
             });
         }
+        if (offset) groupedResults = groupedResults.slice(offset);
+        if (limit) groupedResults = groupedResults.slice(0, limit);
 
         return groupedResults;
     }
@@ -1305,6 +3530,18 @@ class PulseaDB {
 
         this.data[newName] = this.data[oldName];
         delete this.data[oldName];
+        this.indexManager.invalidate(oldName);
+        this.indexManager.invalidate(newName);
+        if (this.columnHooks.has(oldName)) {
+            this.columnHooks.set(newName, this.columnHooks.get(oldName));
+            this.columnHooks.delete(oldName);
+        }
+        for (const { table, relation } of this.referencingRelations(oldName)) {
+            relation.table = newName;
+            this.recordChange([table, '_meta']);
+        }
+        this.recordChange([oldName]);
+        this.recordChange([newName]);
 
         if (this.autoSave) await this.save();
         return true;
@@ -1412,40 +3649,23 @@ class PulseaDB {
     }
 
     async aggregate(tableName, { functions = [], where = {} } = {}) {
+        const specs = functions.map(({ name, alias, ...spec }) => Aggregates.normalize(name === undefined
+            ? spec
+            : { ...spec, fn: name, as: alias || `${name}_${spec.column}` }));
+
         const results = await this.query(tableName, { where });
-        const aggregations = {};
+        return Aggregates.compute(specs, results, (row, column) => this.resolvePath(row, column));
+    }
 
-        for (const func of functions) {
-            const { name, column, alias } = func;
-            const resultKey = alias || `${name}_${column}`;
+    async exists(tableName, where = {}) {
+        await this.ensureInitialized();
+        if (!this.data[tableName]?._meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
 
-            switch (name.toLowerCase()) {
-                case 'sum':
-                    aggregations[resultKey] = results.reduce((sum, row) => sum + (Number(row[column]) || 0), 0);
-                    break;
-                case 'avg':
-                    aggregations[resultKey] = results.length ? 
-                        results.reduce((sum, row) => sum + (Number(row[column]) || 0), 0) / results.length : 0;
-                    break;
-                case 'min':
-                    aggregations[resultKey] = results.length ?
-                        Math.min(...results.map(row => Number(row[column]) || 0)) : null;
-                    break;
-                case 'max':
-                    aggregations[resultKey] = results.length ?
-                        Math.max(...results.map(row => Number(row[column]) || 0)) : null;
-                    break;
-                case 'count':
-                    aggregations[resultKey] = column === '*' ? results.length :
-                        results.filter(row => row[column] !== null && row[column] !== undefined).length;
-                    break;
-            }
+        const candidates = await this.indexManager.candidates(tableName, where);
+        if (candidates?.exact) {
+            return [...candidates.ids].some(id => !this.isRowExpired(tableName, id));
         }
 
-        return aggregations;
-    }
-
-    async exists(tableName, where = {}) {
         const result = await this.findOne(tableName, where);
         return result !== null;
     }
@@ -1459,12 +3679,150 @@ class PulseaDB {
         return { rows, count };
     }
 
+    async paginate(tableName, { where = {}, orderBy = 'id asc', after = null, before = null, limit = 20, include = null } = {}) {
+        await this.ensureInitialized();
+        if (!this.data[tableName]?._meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
+        if (after && before) {
+            throw new DatabaseError('Pagination accepts either "after" or "before", not both');
+        }
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new DatabaseError('Limit must be a positive integer');
+        }
+        this.matchesWhere({}, where);
+
+        const [column, direction = 'asc'] = String(orderBy).trim().split(/\s+/);
+        if (!column || !['asc', 'desc'].includes(direction.toLowerCase())) {
+            throw new DatabaseError(`Invalid pagination order: ${orderBy}`);
+        }
+        const order = `${column} ${direction.toLowerCase()}`;
+        const sign = order.endsWith('desc') ? -1 : 1;
+
+        const compare = (a, b) => {
+            if (a === b) return 0;
+            if (a === null || a === undefined) return -1;
+            if (b === null || b === undefined) return 1;
+            return a < b ? -1 : a > b ? 1 : 0;
+        };
+        const compareRows = ([valueA, idA], [valueB, idB]) => sign * (compare(valueA, valueB) || compare(idA, idB));
+
+        const entries = await this.paginationEntries(tableName, column, where);
+        entries.sort((a, b) => compareRows(a.position, b.position));
+
+        const boundary = async (cursor, inclusive) => {
+            const { value, id } = await this.decodeCursor(cursor, tableName, order);
+            let low = 0;
+            let high = entries.length;
+            while (low < high) {
+                const mid = (low + high) >>> 1;
+                if (compareRows(entries[mid].position, [value, id]) >= (inclusive ? 0 : 1)) high = mid;
+                else low = mid + 1;
+            }
+            return low;
+        };
+
+        const load = async (entry) => {
+            if (entry.row !== undefined) return entry.row;
+            const stored = this.data[tableName][entry.rowId];
+            if (!stored || this.isRowExpired(tableName, entry.rowId)) return null;
+            const row = { id: this.castRowId(tableName, entry.rowId), ...await this.decryptRow(stored) };
+            return this.matchesWhere(row, where) ? row : null;
+        };
+        const collect = async (from, step, count) => {
+            const rows = [];
+            for (let i = from; i >= 0 && i < entries.length && rows.length < count; i += step) {
+                const row = await load(entries[i]);
+                if (row) rows.push(row);
+            }
+            return rows;
+        };
+
+        let page;
+        let hasPrevious;
+        let hasNext;
+        if (before) {
+            const end = await boundary(before, true);
+            const rows = await collect(end - 1, -1, limit + 1);
+            page = rows.slice(0, limit).reverse();
+            hasPrevious = page.length > 0 && rows.length > limit;
+            hasNext = page.length > 0 && (await collect(end, 1, 1)).length > 0;
+        } else {
+            const start = after ? await boundary(after, false) : 0;
+            const rows = await collect(start, 1, limit + 1);
+            page = rows.slice(0, limit);
+            hasNext = page.length > 0 && rows.length > limit;
+            hasPrevious = page.length > 0 && (await collect(start - 1, -1, 1)).length > 0;
+        }
+
+        const cursorFor = row => this.encodeCursor(tableName, order, this.resolvePath(row, column), row.id);
+
+        return {
+            rows: await this.loadIncludes(tableName, page, include),
+            nextCursor: hasNext ? await cursorFor(page[page.length - 1]) : null,
+            prevCursor: hasPrevious ? await cursorFor(page[0]) : null,
+            hasMore: before ? hasPrevious : hasNext
+        };
+    }
+
+    async paginationEntries(tableName, column, where) {
+        const candidates = await this.indexManager.candidates(tableName, where);
+        const included = rowId => !candidates || candidates.ids.has(rowId);
+
+        if (column === 'id') {
+            return Object.keys(this.data[tableName])
+                .filter(rowId => rowId !== '_meta' && included(rowId))
+                .map(rowId => {
+                    const id = this.castRowId(tableName, rowId);
+                    return { rowId, position: [id, id] };
+                });
+        }
+
+        const ordered = await this.indexManager.ordered(tableName, column);
+        if (ordered) {
+            return ordered
+                .filter(({ rowId }) => included(rowId))
+                .map(({ value, rowId }) => ({ rowId, position: [value, this.castRowId(tableName, rowId)] }));
+        }
+
+        const rows = await this.query(tableName, { where });
+        return rows.map(row => ({ rowId: String(row.id), row, position: [this.resolvePath(row, column), row.id] }));
+    }
+
+    async encodeCursor(tableName, order, value, id) {
+        const sealed = await this.encryption.encrypt({ t: tableName, o: order, v: value === undefined ? null : value, i: id });
+        const payload = Buffer.from(sealed).toString('base64url');
+        return `${payload}.${this.encryption.sign(payload)}`;
+    }
+
+    async decodeCursor(cursor, tableName, order) {
+        const [payload, signature] = String(cursor).split('.');
+        if (!payload || !signature || !this.encryption.verify(payload, signature)) {
+            throw new DatabaseError('Invalid pagination cursor');
+        }
+
+        let decoded;
+        try {
+            decoded = await this.encryption.decrypt(Buffer.from(payload, 'base64url').toString());
+        } catch (error) {
+            throw new DatabaseError('Invalid pagination cursor');
+        }
+        const { t, o, v, i } = decoded;
+        if (t !== tableName || o !== order) {
+            throw new DatabaseError(`Pagination cursor does not belong to ${tableName} ordered by ${order}`);
+        }
+        return { value: v, id: i };
+    }
+
     async bulkDelete(tableName, where = {}) {
+        if (!this.inTransaction && this.hasReferentialActions(tableName, 'onDelete')) {
+            return this.runInTransaction(tx => tx.bulkDelete(tableName, where));
+        }
+
         const results = await this.query(tableName, { where });
         const deletedIds = results.map(row => row.id);
         const deletedCount = deletedIds.length;
 
-        await Promise.all(deletedIds.map(id => super.delete(`${tableName}.${id}`)));
+        await Promise.all(deletedIds.map(id => this.deleteKey(`${tableName}.${id}`)));
+        await this.applyDeleteActions(tableName, results);
 
         return { deletedCount, deletedIds };
     }
@@ -1477,13 +3835,32 @@ class PulseaDB {
         const results = [];
         for (const id of ids) {
             const row = await this.findById(tableName, id);
-            if (row) results.push({ id, ...row });
+            if (row) results.push({ id: this.castRowId(tableName, id), ...row });
         }
 
         return results;
     }
 
     async upsert(tableName, data, uniqueColumns = []) {
+        if (typeof uniqueColumns === 'string') {
+            const constraint = this.uniqueConstraints(tableName).find(({ name }) => name === uniqueColumns);
+            if (!constraint) {
+                throw new DatabaseError(`Unique constraint '${uniqueColumns}' does not exist in table '${tableName}'`);
+            }
+            uniqueColumns = constraint.columns;
+        }
+
+        const primaryKey = this.data[tableName]?._meta?.primaryKey;
+        if (!uniqueColumns.length && primaryKey?.strategy === 'natural') {
+            const id = data[primaryKey.column];
+            if (id !== null && id !== undefined && await this.findById(tableName, id)) {
+                await this.update(`${tableName}.${id}`, data);
+                return { id: String(id), ...data, _upserted: 'updated' };
+            }
+            const result = await this.insert(tableName, data);
+            return { ...result, _upserted: 'inserted' };
+        }
+
         if (!uniqueColumns.length) {
             return this.insert(tableName, data);
         }
@@ -1504,6 +3881,10 @@ class PulseaDB {
     }
 }
 
+PulseaDB.FileStorage = Storage.FileStorage;
+PulseaDB.MemoryStorage = Storage.MemoryStorage;
+PulseaDB.TableDirectoryStorage = Storage.TableDirectoryStorage;
+
 protectClass(PulseaDB);
 
 module.exports = PulseaDB;
\ No newline at end of file
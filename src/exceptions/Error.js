@@ -22,6 +22,13 @@ class DatabaseError extends Error {
         const BOLD = '\x1b[1m';
         console.log(`${BLUE}${BOLD}[PULSEA] ${message}${RESET}`);
     }
+
+    static warn(message) {
+        const YELLOW = '\x1b[33m';
+        const RESET = '\x1b[0m';
+        const BOLD = '\x1b[1m';
+        console.warn(`${YELLOW}${BOLD}[PULSEA] ${message}${RESET}`);
+    }
 }
 
 module.exports = { DatabaseError };
\ No newline at end of file
@@ -0,0 +1,88 @@
+const { DatabaseError } = require('../exceptions/Error');
+
+const present = values => values.filter(value => value !== null && value !== undefined);
+
+const numbers = values => present(values)
+    .map(value => typeof value === 'string' && value.trim() !== '' ? Number(value) : value)
+    .filter(value => typeof value === 'number' && !isNaN(value));
+
+const coerced = values => present(values).map(value => Number(value) || 0);
+
+const percentile = (values, p) => {
+    const sorted = numbers(values).sort((a, b) => a - b);
+    if (!sorted.length) return null;
+
+    const rank = p * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const functions = {
+    count: (values, { column }) => column === '*' ? values.length : present(values).length,
+    countDistinct: values => new Set(present(values).map(value => JSON.stringify(value))).size,
+    sum: values => numbers(values).reduce((sum, value) => sum + value, 0),
+    avg: values => {
+        const list = numbers(values);
+        return list.length ? list.reduce((sum, value) => sum + value, 0) / list.length : 0;
+    },
+    min: values => coerced(values).reduce((min, value) => min === null || value < min ? value : min, null),
+    max: values => coerced(values).reduce((max, value) => max === null || value > max ? value : max, null),
+    median: values => percentile(values, 0.5),
+    percentile: (values, { p }) => percentile(values, p),
+    stddev: values => {
+        const list = numbers(values);
+        if (!list.length) return null;
+        const mean = list.reduce((sum, value) => sum + value, 0) / list.length;
+        return Math.sqrt(list.reduce((sum, value) => sum + (value - mean) ** 2, 0) / list.length);
+    },
+    first: values => values.length ? values[0] ?? null : null,
+    last: values => values.length ? values[values.length - 1] ?? null : null,
+    arrayAgg: values => values.map(value => value ?? null)
+};
+
+function names() {
+    return Object.keys(functions);
+}
+
+function normalize(spec) {
+    if (!spec || typeof spec !== 'object') {
+        throw new DatabaseError('Aggregate must be an object with "fn" and "column"');
+    }
+
+    const fn = names().find(name => name.toLowerCase() === String(spec.fn).toLowerCase());
+    if (!fn) {
+        throw new DatabaseError(`Unknown aggregate function: ${spec.fn}. Supported functions are: ${names().join(', ')}`);
+    }
+
+    const column = spec.column === undefined ? (fn === 'count' ? '*' : undefined) : spec.column;
+    if (typeof column !== 'string' || !column || (column === '*' && fn !== 'count')) {
+        throw new DatabaseError(`Aggregate ${fn} requires a column`);
+    }
+
+    if (fn === 'percentile' && !(typeof spec.p === 'number' && spec.p >= 0 && spec.p <= 1)) {
+        throw new DatabaseError('Aggregate percentile requires "p" between 0 and 1');
+    }
+
+    return {
+        fn,
+        column,
+        p: spec.p,
+        as: spec.as || (column === '*' ? fn : `${fn}_${column}`)
+    };
+}
+
+function compute(specs, rows, valueOf) {
+    const result = {};
+    for (const spec of specs) {
+        const values = spec.column === '*' ? rows : rows.map(row => valueOf(row, spec.column));
+        result[spec.as] = functions[spec.fn](values, spec);
+    }
+    return result;
+}
+
+module.exports = {
+    names,
+    normalize,
+    compute
+};
@@ -0,0 +1,89 @@
+const { DatabaseError } = require('../exceptions/Error');
+
+const startOfWeek = date => {
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - (date.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+};
+
+const tiers = {
+    hourly: date => date.toISOString().slice(0, 13),
+    daily: date => date.toISOString().slice(0, 10),
+    weekly: startOfWeek,
+    monthly: date => date.toISOString().slice(0, 7)
+};
+
+const counts = ['keepLast', ...Object.keys(tiers)];
+
+function normalize(policy = {}) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new DatabaseError('Backup retention must be an object');
+    }
+
+    const unknown = Object.keys(policy).filter(key => !counts.includes(key) && key !== 'maxTotalSize' && key !== 'minAge');
+    if (unknown.length) {
+        throw new DatabaseError(`Unknown backup retention option: ${unknown.join(', ')}`);
+    }
+
+    const normalized = {};
+    for (const key of counts) {
+        const value = policy[key] ?? 0;
+        if (!Number.isInteger(value) || value < 0) {
+            throw new DatabaseError(`Backup retention "${key}" must be a non-negative integer`);
+        }
+        normalized[key] = value;
+    }
+
+    for (const key of ['maxTotalSize', 'minAge']) {
+        const value = policy[key] ?? null;
+        if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+            throw new DatabaseError(`Backup retention "${key}" must be a positive number`);
+        }
+        normalized[key] = value;
+    }
+
+    return normalized;
+}
+
+function select(backups, policy, now = Date.now()) {
+    const keep = new Map();
+    const mark = (backup, reason) => keep.set(backup.id, [...(keep.get(backup.id) || []), reason]);
+
+    if (backups.length) mark(backups[0], 'latest');
+    backups.slice(0, policy.keepLast).forEach(backup => mark(backup, 'keepLast'));
+
+    for (const [tier, bucketOf] of Object.entries(tiers)) {
+        if (!policy[tier]) continue;
+        const buckets = new Set();
+        for (const backup of backups) {
+            const bucket = bucketOf(new Date(backup.createdAt));
+            if (buckets.has(bucket)) continue;
+            if (buckets.size >= policy[tier]) break;
+            buckets.add(bucket);
+            mark(backup, tier);
+        }
+    }
+
+    if (policy.minAge) {
+        backups
+            .filter(backup => now - Date.parse(backup.createdAt) < policy.minAge)
+            .forEach(backup => mark(backup, 'minAge'));
+    }
+
+    if (policy.maxTotalSize) {
+        let total = backups.filter(backup => keep.has(backup.id)).reduce((sum, backup) => sum + backup.size, 0);
+        for (const backup of [...backups].reverse()) {
+            if (total <= policy.maxTotalSize) break;
+            const reasons = keep.get(backup.id);
+            if (!reasons || reasons.includes('latest') || reasons.includes('minAge')) continue;
+            keep.delete(backup.id);
+            total -= backup.size;
+        }
+    }
+
+    return keep;
+}
+
+module.exports = {
+    normalize,
+    select
+};
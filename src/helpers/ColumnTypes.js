@@ -0,0 +1,147 @@
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const NUMERIC_PATTERN = /^\s*-?\d+(\.\d+)?([eE][+-]?\d+)?\s*$/;
+
+const parseJSON = (value, predicate) => {
+    if (typeof value !== 'string') return value;
+    try {
+        const parsed = JSON.parse(value);
+        return predicate(parsed) ? parsed : value;
+    } catch {
+        return value;
+    }
+};
+
+const types = {
+    string: {
+        sqlType: 'TEXT',
+        coerce: value => typeof value === 'number' || typeof value === 'boolean' ? String(value) : value,
+        check: value => typeof value === 'string'
+    },
+    number: {
+        sqlType: 'NUMERIC',
+        coerce: value => typeof value === 'string' && NUMERIC_PATTERN.test(value) ? Number(value) : value,
+        check: value => typeof value === 'number' && !isNaN(value)
+    },
+    integer: {
+        sqlType: 'INTEGER',
+        coerce: value => typeof value === 'string' && NUMERIC_PATTERN.test(value) ? Number(value) : value,
+        check: value => Number.isInteger(value)
+    },
+    boolean: {
+        sqlType: 'BOOLEAN',
+        coerce: value => {
+            if (value === 'true' || value === 1) return true;
+            if (value === 'false' || value === 0) return false;
+            return value;
+        },
+        check: value => typeof value === 'boolean'
+    },
+    object: {
+        sqlType: 'JSON',
+        coerce: value => parseJSON(value, parsed => parsed !== null && typeof parsed === 'object'),
+        check: value => value !== null && typeof value === 'object'
+    },
+    date: {
+        sqlType: 'TIMESTAMP',
+        coerce: value => {
+            if (value instanceof Date) return isNaN(value.getTime()) ? value : value.toISOString();
+            if (typeof value === 'number' || typeof value === 'string') {
+                const date = new Date(value);
+                return isNaN(date.getTime()) ? value : date.toISOString();
+            }
+            return value;
+        },
+        check: value => typeof value === 'string' && !isNaN(new Date(value).getTime())
+    },
+    array: {
+        sqlType: 'JSON',
+        coerce: value => parseJSON(value, Array.isArray),
+        check: value => Array.isArray(value)
+    },
+    email: {
+        sqlType: 'TEXT',
+        coerce: value => typeof value === 'string' ? value.trim() : value,
+        check: value => typeof value === 'string' && EMAIL_PATTERN.test(value)
+    },
+    url: {
+        sqlType: 'TEXT',
+        coerce: value => value instanceof URL ? value.toString() : typeof value === 'string' ? value.trim() : value,
+        check: value => {
+            if (typeof value !== 'string') return false;
+            try {
+                new URL(value);
+                return true;
+            } catch {
+                return false;
+            }
+        }
+    },
+    uuid: {
+        sqlType: 'UUID',
+        coerce: value => typeof value === 'string' ? value.trim().toLowerCase() : value,
+        check: value => typeof value === 'string' && UUID_PATTERN.test(value)
+    },
+    json: {
+        sqlType: 'JSON',
+        coerce: value => value,
+        check: value => {
+            try {
+                return JSON.stringify(value) !== undefined;
+            } catch {
+                return false;
+            }
+        }
+    }
+};
+
+const SQL_ALIASES = {
+    VARCHAR: 'TEXT', CHAR: 'TEXT', STRING: 'TEXT',
+    INT: 'INTEGER', BIGINT: 'INTEGER', SMALLINT: 'INTEGER',
+    DECIMAL: 'NUMERIC', REAL: 'NUMERIC', FLOAT: 'NUMERIC', DOUBLE: 'NUMERIC', NUMBER: 'NUMERIC',
+    BOOL: 'BOOLEAN',
+    DATETIME: 'TIMESTAMP', DATE: 'TIMESTAMP'
+};
+
+const PATTERN_TYPES = ['string', 'email', 'url', 'uuid'];
+const RANGE_TYPES = ['number', 'integer', 'date'];
+
+function typeNames() {
+    return Object.keys(types);
+}
+
+function getType(name) {
+    return types[name] || null;
+}
+
+function sqlTypeFor(rules = {}) {
+    if (!rules.type) return 'TEXT';
+    if (rules.type === 'string' && rules.maxLength !== undefined) return `VARCHAR(${rules.maxLength})`;
+    return types[rules.type]?.sqlType || 'TEXT';
+}
+
+function canonicalSQLType(sqlType) {
+    return SQL_ALIASES[sqlType] || sqlType;
+}
+
+function typeForSQL(sqlType) {
+    switch (canonicalSQLType(sqlType)) {
+        case 'NUMERIC': return 'number';
+        case 'INTEGER': return 'integer';
+        case 'BOOLEAN': return 'boolean';
+        case 'TIMESTAMP': return 'date';
+        case 'JSON': return 'json';
+        case 'UUID': return 'uuid';
+        default: return null;
+    }
+}
+
+module.exports = {
+    typeNames,
+    getType,
+    sqlTypeFor,
+    canonicalSQLType,
+    typeForSQL,
+    PATTERN_TYPES,
+    RANGE_TYPES
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const k9crypt = require('k9crypt');
 
 class Encryption {
@@ -6,6 +7,21 @@ class Encryption {
             throw new Error('Secret key is required for encryption!');
         }
         this.encryptor = new k9crypt(secretKey);
+        this.signingKey = crypto.createHash('sha256').update(`pulsea-signing-key:${secretKey}`).digest();
+    }
+
+    static createKeyId() {
+        return crypto.randomBytes(8).toString('hex');
+    }
+
+    sign(data) {
+        return crypto.createHmac('sha256', this.signingKey).update(data).digest('base64url');
+    }
+
+    verify(data, signature) {
+        const expected = Buffer.from(this.sign(data));
+        const actual = Buffer.from(String(signature));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
     }
 
     async encrypt(data) {
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+class FileStorage {
+    constructor(root) {
+        this.root = path.resolve(root);
+    }
+
+    resolve(name) {
+        return path.resolve(this.root, name);
+    }
+
+    async read(name, { length = null } = {}) {
+        try {
+            if (length === null) return await fs.promises.readFile(this.resolve(name), 'utf8');
+
+            const handle = await fs.promises.open(this.resolve(name), 'r');
+            try {
+                const buffer = Buffer.alloc(length);
+                const { bytesRead } = await handle.read(buffer, 0, length, 0);
+                return buffer.toString('utf8', 0, bytesRead);
+            } finally {
+                await handle.close();
+            }
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async write(name, content) {
+        const target = this.resolve(name);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(target, content);
+    }
+
+    async append(name, content) {
+        const target = this.resolve(name);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.appendFile(target, content);
+    }
+
+    async atomicReplace(name, content) {
+        const target = this.resolve(name);
+        const tempFile = target + '.tmp';
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(tempFile, content);
+        await fs.promises.rename(tempFile, target);
+    }
+
+    async list(dir = '') {
+        try {
+            const entries = await fs.promises.readdir(this.resolve(dir), { withFileTypes: true });
+            return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async stat(name) {
+        try {
+            const stats = await fs.promises.stat(this.resolve(name));
+            return { size: stats.size, mtime: stats.mtime };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async remove(name) {
+        try {
+            await fs.promises.rm(this.resolve(name), { recursive: true });
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+const CROCKFORD = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+let lastTime = -1;
+let lastRandom = [];
+
+function uuid() {
+    if (typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+
+    const bytes = crypto.randomBytes(16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function ulid(now = Date.now()) {
+    let random;
+    if (now <= lastTime) {
+        random = [...lastRandom];
+        let i = random.length - 1;
+        while (i >= 0 && random[i] === 31) {
+            random[i] = 0;
+            i--;
+        }
+        if (i < 0) {
+            throw new Error('ULID random component overflow');
+        }
+        random[i]++;
+        now = lastTime;
+    } else {
+        random = Array.from(crypto.randomBytes(16), byte => byte & 31);
+    }
+
+    lastTime = now;
+    lastRandom = random;
+
+    let time = '';
+    for (let i = 0; i < 10; i++) {
+        time = CROCKFORD[now % 32] + time;
+        now = Math.floor(now / 32);
+    }
+
+    return time + random.map(digit => CROCKFORD[digit]).join('');
+}
+
+function timestampId() {
+    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+module.exports = { uuid, ulid, timestampId };
@@ -0,0 +1,250 @@
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+const SORTABLE_TYPES = ['number', 'string'];
+
+const readBack = value => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+};
+
+class ColumnIndex {
+    constructor() {
+        this.values = new Map();
+        this.hash = new Map();
+        this.sorted = { number: [], string: [] };
+    }
+
+    add(rowId, value) {
+        if (this.values.has(rowId)) this.remove(rowId);
+        this.values.set(rowId, value);
+
+        if (!this.hash.has(value)) this.hash.set(value, new Set());
+        this.hash.get(value).add(rowId);
+
+        const sorted = this.sorted[typeof value];
+        if (sorted) {
+            sorted.splice(this.lowerBound(sorted, value), 0, { value, rowId });
+        }
+    }
+
+    remove(rowId) {
+        if (!this.values.has(rowId)) return;
+        const value = this.values.get(rowId);
+        this.values.delete(rowId);
+
+        const bucket = this.hash.get(value);
+        if (bucket) {
+            bucket.delete(rowId);
+            if (!bucket.size) this.hash.delete(value);
+        }
+
+        const sorted = this.sorted[typeof value];
+        if (sorted) {
+            for (let i = this.lowerBound(sorted, value); i < sorted.length && sorted[i].value === value; i++) {
+                if (sorted[i].rowId === rowId) {
+                    sorted.splice(i, 1);
+                    break;
+                }
+            }
+        }
+    }
+
+    lowerBound(sorted, value) {
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (sorted[mid].value < value) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    upperBound(sorted, value) {
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (sorted[mid].value <= value) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    equal(values) {
+        const ids = new Set();
+        for (const value of values) {
+            const bucket = this.hash.get(value);
+            if (bucket) bucket.forEach(id => ids.add(id));
+        }
+        return ids;
+    }
+
+    range(condition) {
+        const bounds = RANGE_OPERATORS.filter(op => condition[op] !== undefined).map(op => condition[op]);
+        const type = typeof bounds[0];
+        if (!SORTABLE_TYPES.includes(type) || bounds.some(bound => typeof bound !== type)) {
+            return null;
+        }
+
+        const sorted = this.sorted[type];
+        let start = 0;
+        let end = sorted.length;
+        if (condition.$gt !== undefined) start = Math.max(start, this.upperBound(sorted, condition.$gt));
+        if (condition.$gte !== undefined) start = Math.max(start, this.lowerBound(sorted, condition.$gte));
+        if (condition.$lt !== undefined) end = Math.min(end, this.lowerBound(sorted, condition.$lt));
+        if (condition.$lte !== undefined) end = Math.min(end, this.upperBound(sorted, condition.$lte));
+
+        const ids = new Set();
+        for (let i = start; i < end; i++) ids.add(sorted[i].rowId);
+
+        for (const [rowId, value] of this.values) {
+            if (typeof value !== type) ids.add(rowId);
+        }
+        return ids;
+    }
+}
+
+class IndexManager {
+    constructor(db) {
+        this.db = db;
+        this.tables = new Map();
+        this.builds = new Map();
+        this.versions = new Map();
+    }
+
+    columnsOf(tableName) {
+        const columns = new Set(this.db.data[tableName]?._meta?.indexes || []);
+        for (const constraint of this.db.uniqueConstraints(tableName)) {
+            constraint.columns.forEach(column => columns.add(column));
+        }
+        return [...columns];
+    }
+
+    async ensure(tableName) {
+        const columns = this.columnsOf(tableName);
+        if (!columns.length) return null;
+
+        const existing = this.tables.get(tableName);
+        if (existing && columns.every(column => existing.has(column))) {
+            return existing;
+        }
+
+        if (!this.builds.has(tableName)) {
+            this.builds.set(tableName, this.build(tableName).finally(() => this.builds.delete(tableName)));
+        }
+        return this.builds.get(tableName);
+    }
+
+    async build(tableName) {
+        while (true) {
+            const version = this.versions.get(tableName) || 0;
+            const columns = this.columnsOf(tableName);
+            const indexes = new Map(columns.map(column => [column, new ColumnIndex()]));
+            const table = this.db.data[tableName] || {};
+
+            for (const [rowId, row] of Object.entries(table)) {
+                if (rowId === '_meta' || !row) continue;
+                for (const [column, index] of indexes) {
+                    index.add(rowId, await this.db.decryptValue(row[column]));
+                }
+            }
+
+            if ((this.versions.get(tableName) || 0) === version) {
+                this.tables.set(tableName, indexes);
+                return indexes;
+            }
+        }
+    }
+
+    touch(tableName) {
+        this.versions.set(tableName, (this.versions.get(tableName) || 0) + 1);
+    }
+
+    add(tableName, rowId, row) {
+        this.touch(tableName);
+        const indexes = this.tables.get(tableName);
+        if (!indexes) return;
+        for (const [column, index] of indexes) {
+            index.add(rowId, readBack(row[column]));
+        }
+    }
+
+    remove(tableName, rowId) {
+        this.touch(tableName);
+        const indexes = this.tables.get(tableName);
+        if (!indexes) return;
+        for (const index of indexes.values()) {
+            index.remove(rowId);
+        }
+    }
+
+    invalidate(tableName) {
+        this.touch(tableName);
+        this.tables.delete(tableName);
+    }
+
+    reset() {
+        for (const tableName of new Set([...this.tables.keys(), ...this.builds.keys()])) {
+            this.invalidate(tableName);
+        }
+    }
+
+    async ordered(tableName, column) {
+        if (!this.columnsOf(tableName).includes(column)) return null;
+
+        const index = (await this.ensure(tableName))?.get(column);
+        if (!index) return null;
+
+        const type = SORTABLE_TYPES.find(candidate => index.sorted[candidate].length === index.values.size);
+        return type ? [...index.sorted[type]] : null;
+    }
+
+    async candidates(tableName, where = {}) {
+        const columns = this.columnsOf(tableName);
+        const usable = Object.keys(where).filter(column => columns.includes(column) && where[column] !== null);
+        if (!usable.length) return null;
+
+        const indexes = await this.ensure(tableName);
+        if (!indexes) return null;
+
+        let result = null;
+        let exact = usable.length === Object.keys(where).length;
+
+        for (const column of usable) {
+            const index = indexes.get(column);
+            const condition = where[column];
+            let ids = null;
+
+            if (typeof condition !== 'object') {
+                ids = index.equal([condition]);
+            } else if (condition instanceof RegExp || condition.$options !== undefined) {
+                exact = false;
+                continue;
+            } else {
+                const operators = Object.keys(condition);
+                if (condition.$eq !== undefined) {
+                    ids = index.equal([condition.$eq]);
+                } else if (Array.isArray(condition.$in)) {
+                    ids = index.equal(condition.$in);
+                } else if (operators.some(op => RANGE_OPERATORS.includes(op))) {
+                    ids = index.range(condition);
+                }
+                if (operators.some(op => op !== '$eq' && op !== '$in')) exact = false;
+            }
+
+            if (!ids) {
+                exact = false;
+                continue;
+            }
+            result = result ? new Set([...result].filter(id => ids.has(id))) : ids;
+        }
+
+        return result ? { ids: result, exact } : null;
+    }
+}
+
+module.exports = IndexManager;
@@ -0,0 +1,116 @@
+const { DatabaseError } = require('../exceptions/Error');
+
+class Journal {
+    constructor(storage, name, { compactThreshold = 1000, compactInterval = null } = {}) {
+        if (!name) {
+            throw new DatabaseError('Journal file name is required');
+        }
+        this.storage = storage;
+        this.name = name;
+        this.compactThreshold = compactThreshold;
+        this.compactInterval = compactInterval;
+        this.pending = [];
+        this.size = 0;
+    }
+
+    record(entry) {
+        this.pending.push(JSON.stringify(entry) + '\n');
+    }
+
+    async flush() {
+        if (!this.pending.length) return 0;
+        const lines = this.pending;
+        this.pending = [];
+        try {
+            await this.append(lines.join(''));
+        } catch (error) {
+            this.pending = lines.concat(this.pending);
+            throw error;
+        }
+        this.size += lines.length;
+        return lines.length;
+    }
+
+    async read() {
+        const content = await this.storage.read(this.name);
+        if (content === null) return { entries: [], torn: false };
+
+        const entries = [];
+        let offset = 0;
+        let torn = false;
+
+        while (offset < content.length) {
+            const end = content.indexOf('\n', offset);
+            if (end === -1) {
+                torn = true;
+                break;
+            }
+            try {
+                entries.push(JSON.parse(content.slice(offset, end)));
+            } catch {
+                torn = true;
+                break;
+            }
+            offset = end + 1;
+        }
+
+        if (torn) {
+            await this.storage.atomicReplace(this.name, content.slice(0, offset));
+        }
+
+        this.size = entries.length;
+        return { entries, torn };
+    }
+
+    async reset() {
+        this.pending = [];
+        this.size = 0;
+        await this.storage.write(this.name, '');
+    }
+
+    async append(content) {
+        if (typeof this.storage.append === 'function') {
+            await this.storage.append(this.name, content);
+            return;
+        }
+        await this.storage.atomicReplace(this.name, ((await this.storage.read(this.name)) || '') + content);
+    }
+
+    needsCompaction() {
+        return this.size >= this.compactThreshold;
+    }
+
+    static apply(data, { op, path, value }) {
+        if (!path.length) {
+            return op === 'put' ? value : {};
+        }
+
+        const stack = [];
+        let current = data;
+        for (let i = 0; i < path.length - 1; i++) {
+            if (current[path[i]] === null || typeof current[path[i]] !== 'object') {
+                if (op === 'del') return data;
+                current[path[i]] = {};
+            }
+            stack.push({ obj: current, key: path[i] });
+            current = current[path[i]];
+        }
+
+        const lastKey = path[path.length - 1];
+        if (op === 'put') {
+            current[lastKey] = value;
+            return data;
+        }
+
+        delete current[lastKey];
+        for (let i = stack.length - 1; i >= 0; i--) {
+            const { obj, key } = stack[i];
+            if (Object.keys(obj[key]).length === 0) {
+                delete obj[key];
+            }
+        }
+        return data;
+    }
+}
+
+module.exports = Journal;
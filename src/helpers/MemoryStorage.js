@@ -0,0 +1,39 @@
+class MemoryStorage {
+    constructor() {
+        this.files = new Map();
+    }
+
+    async read(name) {
+        return this.files.has(name) ? this.files.get(name).content : null;
+    }
+
+    async write(name, content) {
+        this.files.set(name, { content: String(content), mtime: new Date() });
+    }
+
+    async append(name, content) {
+        await this.write(name, ((await this.read(name)) || '') + content);
+    }
+
+    async atomicReplace(name, content) {
+        await this.write(name, content);
+    }
+
+    async list(dir = '') {
+        const prefix = dir ? dir.replace(/\/+$/, '') + '/' : '';
+        return [...this.files.keys()]
+            .filter(name => name.startsWith(prefix) && !name.slice(prefix.length).includes('/'))
+            .map(name => name.slice(prefix.length));
+    }
+
+    async stat(name) {
+        const file = this.files.get(name);
+        return file ? { size: Buffer.byteLength(file.content), mtime: file.mtime } : null;
+    }
+
+    async remove(name) {
+        return this.files.delete(name);
+    }
+}
+
+module.exports = MemoryStorage;
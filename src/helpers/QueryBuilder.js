@@ -0,0 +1,282 @@
+const { DatabaseError } = require('../exceptions/Error');
+
+const OPERATORS = {
+    '=': '$eq',
+    '!=': '$ne',
+    '<>': '$ne',
+    '>': '$gt',
+    '>=': '$gte',
+    '<': '$lt',
+    '<=': '$lte',
+    'like': '$like',
+    'in': '$in',
+    'not in': '$nin',
+    'regex': '$regex'
+};
+
+class QueryBuilder {
+    constructor(db, tableName) {
+        if (!tableName || typeof tableName !== 'string') {
+            throw new DatabaseError('Table name must be a non-empty string');
+        }
+        this.db = db;
+        this.tableName = tableName;
+        this.clauses = [];
+        this.orders = [];
+        this.columns = ['*'];
+        this.includes = null;
+        this.limitCount = null;
+        this.offsetCount = 0;
+    }
+
+    clone() {
+        const copy = new QueryBuilder(this.db, this.tableName);
+        copy.clauses = [...this.clauses];
+        copy.orders = [...this.orders];
+        copy.columns = [...this.columns];
+        copy.includes = this.includes;
+        copy.limitCount = this.limitCount;
+        copy.offsetCount = this.offsetCount;
+        return copy;
+    }
+
+    where(...args) {
+        return this.addClause('and', this.condition(args));
+    }
+
+    orWhere(...args) {
+        return this.addClause('or', this.condition(args));
+    }
+
+    whereIn(column, values) {
+        return this.where(column, 'in', values);
+    }
+
+    whereNotIn(column, values) {
+        return this.where(column, 'not in', values);
+    }
+
+    whereNull(column) {
+        return this.where({ [this.column(column)]: { $exists: false } });
+    }
+
+    whereNotNull(column) {
+        return this.where({ [this.column(column)]: { $exists: true } });
+    }
+
+    whereBetween(column, [low, high] = []) {
+        return this.where({ [this.column(column)]: { $gte: low, $lte: high } });
+    }
+
+    orderBy(column, direction = 'asc') {
+        const normalized = String(direction).toLowerCase();
+        if (normalized !== 'asc' && normalized !== 'desc') {
+            throw new DatabaseError(`Invalid order direction: ${direction}`);
+        }
+        this.orders.push({ column: this.column(column), direction: normalized });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = this.nonNegative(count, 'Limit');
+        return this;
+    }
+
+    offset(count) {
+        this.offsetCount = this.nonNegative(count, 'Offset');
+        return this;
+    }
+
+    select(...columns) {
+        const list = columns.flat();
+        this.columns = list.length ? list.map(column => this.column(column)) : ['*'];
+        return this;
+    }
+
+    include(include) {
+        this.includes = include;
+        return this;
+    }
+
+    compile() {
+        return {
+            where: this.compileWhere(),
+            orderBy: this.orders.map(order => ({ ...order })),
+            columns: [...this.columns],
+            include: this.includes,
+            limit: this.limitCount,
+            offset: this.offsetCount
+        };
+    }
+
+    async get() {
+        const { where, orderBy, columns, include, limit, offset } = this.compile();
+        if (limit === 0) return [];
+
+        if (orderBy.length <= 1) {
+            return this.db.select(this.tableName, {
+                columns,
+                where,
+                orderBy: orderBy.length ? `${orderBy[0].column} ${orderBy[0].direction}` : null,
+                limit,
+                offset,
+                include
+            });
+        }
+
+        let rows = await this.db.orderByMultiple(this.tableName, { columns: orderBy, where, limit, offset });
+        rows = await this.db.loadIncludes(this.tableName, rows, include);
+        if (columns[0] === '*') return rows;
+
+        const included = include ? this.db.resolveIncludes(this.tableName, include).map(({ as }) => as) : [];
+        return rows.map(row => Object.fromEntries(
+            [...columns, ...included].filter(column => row.hasOwnProperty(column)).map(column => [column, row[column]])
+        ));
+    }
+
+    async first() {
+        const [row] = await this.clone().limit(1).get();
+        return row || null;
+    }
+
+    async count() {
+        return this.db.count(this.tableName, this.compileWhere());
+    }
+
+    async sum(column) {
+        return this.aggregate('sum', column);
+    }
+
+    async avg(column) {
+        return this.aggregate('avg', column);
+    }
+
+    async min(column) {
+        return this.aggregate('min', column);
+    }
+
+    async max(column) {
+        return this.aggregate('max', column);
+    }
+
+    async update(values) {
+        return this.db.updateMany(this.tableName, await this.targetWhere(), values);
+    }
+
+    async delete() {
+        return this.db.delete(this.tableName, await this.targetWhere());
+    }
+
+    async paginate(page = 1, perPage = 15) {
+        if (!Number.isInteger(page) || page < 1) {
+            throw new DatabaseError('Page must be a positive integer');
+        }
+        if (!Number.isInteger(perPage) || perPage < 1) {
+            throw new DatabaseError('Per page must be a positive integer');
+        }
+
+        const [rows, total] = await Promise.all([
+            this.clone().offset((page - 1) * perPage).limit(perPage).get(),
+            this.count()
+        ]);
+
+        return { rows, total, page, perPage, totalPages: Math.ceil(total / perPage) };
+    }
+
+    async aggregate(name, column) {
+        const result = await this.db.aggregate(this.tableName, {
+            functions: [{ name, column: this.column(column), alias: name }],
+            where: this.compileWhere()
+        });
+        return result[name];
+    }
+
+    async targetWhere() {
+        if (this.limitCount === null && !this.offsetCount) {
+            return this.compileWhere();
+        }
+
+        const rows = await this.clone().select('id').include(null).get();
+        return { id: { $in: rows.map(row => row.id) } };
+    }
+
+    addClause(boolean, where) {
+        if (Object.keys(where).length) {
+            this.clauses.push({ boolean, where });
+        }
+        return this;
+    }
+
+    condition(args) {
+        const [first] = args;
+
+        if (typeof first === 'function') {
+            const nested = new QueryBuilder(this.db, this.tableName);
+            first(nested);
+            return nested.compileWhere();
+        }
+        if (args.length === 1) {
+            if (!first || typeof first !== 'object' || Array.isArray(first)) {
+                throw new DatabaseError('Where expects a column and value, an object or a callback');
+            }
+            return { ...first };
+        }
+
+        const column = this.column(first);
+        if (args.length === 2) {
+            return { [column]: args[1] };
+        }
+
+        const [, operator, value] = args;
+        const normalized = String(operator).toLowerCase();
+        if (normalized === 'not like') {
+            return { $not: { [column]: { $like: value } } };
+        }
+        if (!OPERATORS[normalized]) {
+            throw new DatabaseError(`Unknown where operator: ${operator}`);
+        }
+        return { [column]: { [OPERATORS[normalized]]: value } };
+    }
+
+    compileWhere() {
+        const groups = [];
+        for (const { boolean, where } of this.clauses) {
+            if (boolean === 'or' || !groups.length) groups.push([where]);
+            else groups[groups.length - 1].push(where);
+        }
+
+        const compiled = groups.map(group => this.mergeGroup(group));
+        if (compiled.length <= 1) return compiled[0] || {};
+        return { $or: compiled };
+    }
+
+    mergeGroup(group) {
+        const merged = {};
+        const rest = [];
+        for (const where of group) {
+            for (const [key, condition] of Object.entries(where)) {
+                if (key in merged) rest.push({ [key]: condition });
+                else merged[key] = condition;
+            }
+        }
+
+        if (rest.length) merged.$and = [...(merged.$and || []), ...rest];
+        return merged;
+    }
+
+    column(column) {
+        if (!column || typeof column !== 'string') {
+            throw new DatabaseError('Column name must be a non-empty string');
+        }
+        return column;
+    }
+
+    nonNegative(count, label) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new DatabaseError(`${label} must be a non-negative integer`);
+        }
+        return count;
+    }
+}
+
+module.exports = QueryBuilder;
@@ -0,0 +1,566 @@
+const { DatabaseError } = require('../exceptions/Error');
+const ColumnTypes = require('./ColumnTypes');
+
+const SQL_AGGREGATES = { COUNT: 'count', SUM: 'sum', AVG: 'avg', MIN: 'min', MAX: 'max', MEDIAN: 'median', STDDEV: 'stddev', ARRAY_AGG: 'arrayAgg' };
+const FLIPPED = { '<': '>', '>': '<', '<=': '>=', '>=': '<=' };
+const COMPARISONS = { '!=': '$ne', '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte' };
+
+class SQLExecutor {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async execute(statement) {
+        switch (statement.type) {
+            case 'select': return this.select(statement);
+            case 'union': return this.union(statement);
+            case 'insert': return this.insert(statement);
+            case 'update': return this.update(statement);
+            case 'delete': return this.delete(statement);
+            case 'createTable': return this.createTable(statement);
+            case 'createIndex': return this.createIndex(statement);
+            case 'alterTable': return this.alterTable(statement);
+            case 'dropTable': return this.dropTable(statement);
+            default: throw new DatabaseError(`Unsupported SQL statement: ${statement.type}`);
+        }
+    }
+
+    meta(tableName) {
+        const meta = this.db.data[tableName]?._meta;
+        if (!meta) throw new DatabaseError(`Table '${tableName}' does not exist`);
+        return meta;
+    }
+
+    scope(statement) {
+        const tables = [statement.from, ...statement.joins].map(({ table, alias }) => ({
+            name: table,
+            alias,
+            prefix: alias || table,
+            columns: this.meta(table).columns
+        }));
+        const joined = tables.length > 1;
+
+        const keyFor = (table, column) => {
+            if (!joined) return column;
+            return table === tables[0] && column !== 'id' ? column : `${table.prefix}_${column}`;
+        };
+
+        const locate = ({ table: qualifier, name }) => {
+            if (qualifier) {
+                const table = tables.find(({ alias }) => alias === qualifier) || tables.find(({ name: tableName, alias }) => !alias && tableName === qualifier);
+                if (table) {
+                    if (name !== 'id' && !table.columns.includes(name)) {
+                        throw new DatabaseError(`Unknown column '${name}' in table '${table.name}'`);
+                    }
+                    return { table, column: name, key: keyFor(table, name) };
+                }
+                const owner = tables.find(({ columns }) => columns.includes(qualifier));
+                if (owner) return { table: owner, column: `${qualifier}.${name}`, key: `${keyFor(owner, qualifier)}.${name}` };
+                throw new DatabaseError(`Unknown table or column '${qualifier}'`);
+            }
+
+            const table = name === 'id' ? tables[0] : tables.find(({ columns }) => columns.includes(name));
+            if (!table) throw new DatabaseError(`Unknown column '${name}'`);
+            return { table, column: name, key: keyFor(table, name) };
+        };
+
+        const columnsOf = qualifier => {
+            const table = tables.find(({ name, alias }) => alias === qualifier || (!alias && name === qualifier));
+            if (!table) throw new DatabaseError(`Unknown table '${qualifier}'`);
+            return ['id', ...table.columns].map(column => ({ name: column, key: keyFor(table, column) }));
+        };
+
+        for (const item of statement.columns || []) {
+            if (item.type === 'column') locate(item);
+            else if (item.type === 'star' && item.table) columnsOf(item.table);
+        }
+
+        return { tables, locate, resolve: ref => locate(ref).key, columnsOf };
+    }
+
+    compileWhere(expr, resolve) {
+        switch (expr.type) {
+            case 'and':
+                return { $and: expr.items.map(item => this.compileWhere(item, resolve)) };
+            case 'or':
+                return { $or: expr.items.map(item => this.compileWhere(item, resolve)) };
+            case 'not':
+                return { $not: this.compileWhere(expr.expr, resolve) };
+            case 'compare': {
+                let { left, right, op } = expr;
+                if (left.type === 'value' && right.type !== 'value') {
+                    [left, right] = [right, left];
+                    op = FLIPPED[op] || op;
+                }
+                if (left.type === 'value' || right.type !== 'value') {
+                    throw new DatabaseError('Comparisons must be between a column and a value');
+                }
+                const key = resolve(left);
+                return op === '=' ? { [key]: { $eq: right.value } } : { [key]: { [COMPARISONS[op]]: right.value } };
+            }
+            case 'in':
+                return { [resolve(expr.left)]: { [expr.negate ? '$nin' : '$in']: expr.values } };
+            case 'like': {
+                const condition = { [resolve(expr.left)]: { $like: expr.pattern } };
+                return expr.negate ? { $not: condition } : condition;
+            }
+            case 'null':
+                return { [resolve(expr.left)]: { $exists: expr.negate } };
+            case 'between': {
+                const condition = { [resolve(expr.left)]: { $gte: expr.low, $lte: expr.high } };
+                return expr.negate ? { $not: condition } : condition;
+            }
+            default:
+                throw new DatabaseError(`Unsupported expression in SQL statement: ${expr.type}`);
+        }
+    }
+
+    async select(statement) {
+        if (statement.joins.length) return this.selectJoin(statement);
+
+        const tableName = statement.from.table;
+        const scope = this.scope(statement);
+        const where = statement.where ? this.compileWhere(statement.where, scope.resolve) : {};
+
+        if (statement.groupBy.length || statement.columns.some(item => item.type === 'aggregate')) {
+            return this.selectGrouped(statement, scope, where);
+        }
+
+        if (statement.distinct) {
+            const keys = statement.columns.map(item => {
+                if (item.type !== 'column') throw new DatabaseError('SELECT DISTINCT requires explicit columns');
+                return scope.resolve(item);
+            });
+            const values = await this.db.distinct(tableName, keys, where);
+            const rows = keys.length === 1 ? values.map(value => ({ [keys[0]]: value })) : values;
+            return this.finish(rows, statement, scope);
+        }
+
+        const order = this.orderKeys(statement, scope.resolve);
+        if (!order) {
+            const rows = await this.db.select(tableName, { where });
+            return this.finish(rows, statement, scope);
+        }
+        if (statement.limit === 0) return [];
+
+        const options = { where, limit: statement.limit, offset: statement.offset || 0 };
+        const rows = order.length > 1
+            ? await this.db.orderByMultiple(tableName, { ...options, columns: order })
+            : await this.db.select(tableName, { ...options, orderBy: order.length ? `${order[0].column} ${order[0].direction}` : null });
+        return this.project(rows, statement.columns, scope);
+    }
+
+    async selectJoin(statement) {
+        if (statement.groupBy.length || statement.columns.some(item => item.type === 'aggregate')) {
+            throw new DatabaseError('GROUP BY and aggregates are not supported together with JOIN');
+        }
+
+        const scope = this.scope(statement);
+        const [main, ...targets] = scope.tables;
+        const repeated = targets.find((table, i) => scope.tables.slice(0, i + 1).some(({ prefix }) => prefix === table.prefix));
+        if (repeated) {
+            throw new DatabaseError(`Table '${repeated.prefix}' appears more than once; give it an alias`);
+        }
+        const joins = statement.joins.map((join, i) => {
+            if (join.type === 'CROSS' || !join.on) {
+                throw new DatabaseError('JOIN requires an ON condition');
+            }
+            return { table: join.table, as: targets[i].prefix, type: join.type, ...this.joinCondition(join.on, scope, i + 1) };
+        });
+
+        let rows = await this.db.join({ table: main.name, as: main.prefix }, joins);
+        if (statement.where) {
+            const where = this.compileWhere(statement.where, scope.resolve);
+            rows = rows.filter(row => this.db.matchesWhere(row, where));
+        }
+        return this.finish(rows, statement, scope);
+    }
+
+    joinCondition(on, scope, position) {
+        const target = scope.tables[position];
+        const earlier = scope.tables.slice(0, position);
+        const from = [];
+        const to = [];
+        const filters = [];
+
+        for (const item of on.type === 'and' ? on.items : [on]) {
+            if (item.type === 'compare' && item.op === '=' && item.left.type === 'column' && item.right.type === 'column') {
+                const sides = [item.left, item.right].map(ref => scope.locate(ref));
+                const own = sides.find(({ table }) => table === target);
+                const other = sides.find(side => side !== own && earlier.includes(side.table));
+                if (own && other) {
+                    from.push(`${other.table.prefix}.${other.column}`);
+                    to.push(own.column);
+                    continue;
+                }
+            }
+            filters.push(this.compileWhere(item, ref => {
+                const { table, column } = scope.locate(ref);
+                if (table !== target) {
+                    throw new DatabaseError(`JOIN ... ON for '${target.prefix}' can only compare its columns with earlier tables or values`);
+                }
+                return column;
+            }));
+        }
+
+        if (!from.length) {
+            throw new DatabaseError(`JOIN ... ON for '${target.prefix}' needs at least one column = column condition`);
+        }
+        return { on: { from, to }, where: filters.length > 1 ? { $and: filters } : filters[0] || {} };
+    }
+
+    async selectGrouped(statement, scope, where) {
+        const tableName = statement.from.table;
+        const groupKeys = statement.groupBy.map(ref => scope.resolve(ref));
+        const grouped = groupKeys.length > 0;
+        if (grouped && statement.limit === 0) return [];
+        const aggregates = [];
+
+        const resolveAggregate = item => {
+            if (item.distinct && item.name !== 'COUNT') throw new DatabaseError(`${item.name}(DISTINCT ...) is not supported`);
+            const fn = item.distinct ? 'countDistinct' : SQL_AGGREGATES[item.name];
+            const column = item.column === '*' ? '*' : scope.resolve(item.column);
+            const as = column === '*' ? fn : `${fn}_${column}`;
+            if (!aggregates.some(aggregate => aggregate.as === as)) aggregates.push({ fn, column, as });
+            return as;
+        };
+        const outputs = statement.columns.map(item => {
+            if (item.type === 'aggregate') {
+                const label = `${item.name}(${item.distinct ? 'DISTINCT ' : ''}${item.column === '*' ? '*' : item.column.name})`;
+                return { name: item.alias || label, key: resolveAggregate(item) };
+            }
+            if (item.type === 'star') throw new DatabaseError('SELECT * cannot be combined with GROUP BY or aggregates');
+            const key = scope.resolve(item);
+            if (!groupKeys.includes(key)) {
+                throw new DatabaseError(`Column '${item.name}' must appear in GROUP BY or be used in an aggregate function`);
+            }
+            return { name: item.alias || item.name, key };
+        });
+        const resolve = ref => {
+            if (ref.type === 'aggregate') return resolveAggregate(ref);
+            const output = !ref.table && outputs.find(({ name }) => name === ref.name);
+            return output ? output.key : scope.resolve(ref);
+        };
+
+        const having = statement.having ? this.compileWhere(statement.having, resolve) : null;
+        const order = statement.orderBy.map(({ expr, direction }) => ({ column: resolve(expr), direction }));
+
+        let rows;
+        if (grouped) {
+            rows = await this.db.groupBy(tableName, {
+                columns: groupKeys,
+                where,
+                aggregates,
+                having,
+                orderBy: order,
+                limit: statement.limit,
+                offset: statement.offset || 0
+            });
+        } else {
+            rows = [await this.db.aggregate(tableName, { functions: aggregates, where })];
+            if (having) rows = rows.filter(row => this.db.matchesWhere(row, having));
+            rows = this.paginate(rows, statement);
+        }
+        return rows.map(row => Object.fromEntries(outputs.map(({ name, key }) => [name, row[key] === undefined ? null : row[key]])));
+    }
+
+    async union(statement) {
+        const simple = statement.parts.every(({ select }) => this.isSimpleSelect(select));
+        const uniform = statement.parts.slice(1).every(({ all }) => all === statement.parts[1].all);
+
+        let rows;
+        if (simple && uniform) {
+            const queries = statement.parts.map(({ select }) => {
+                const scope = this.scope(select);
+                return {
+                    tableName: select.from.table,
+                    columns: select.columns.map(item => item.type === 'star' ? '*' : scope.resolve(item)),
+                    where: select.where ? this.compileWhere(select.where, scope.resolve) : {}
+                };
+            });
+            rows = statement.parts[1].all ? await this.db.unionAll(queries) : await this.db.union(queries);
+        } else {
+            rows = await this.select(statement.parts[0].select);
+            for (const { all, select } of statement.parts.slice(1)) {
+                rows = rows.concat(await this.select(select));
+                if (!all) rows = this.unique(rows);
+            }
+        }
+
+        const order = statement.orderBy.map(({ expr, direction }) => {
+            if (expr.type !== 'column' || expr.table) {
+                throw new DatabaseError('ORDER BY after UNION must use plain column names');
+            }
+            return { column: expr.name, direction };
+        });
+        return this.paginate(this.sort(rows, order), statement);
+    }
+
+    isSimpleSelect(select) {
+        return !select.joins.length && !select.groupBy.length && !select.having && !select.distinct &&
+            select.columns.every(item => (item.type === 'star' && !item.table) || (item.type === 'column' && !item.alias));
+    }
+
+    orderKeys(statement, resolve) {
+        const order = [];
+        for (const { expr, direction } of statement.orderBy) {
+            if (expr.type !== 'column' || (!expr.table && statement.columns.some(item => item.alias === expr.name))) return null;
+            try {
+                order.push({ column: resolve(expr), direction });
+            } catch (error) {
+                return null;
+            }
+        }
+        return order;
+    }
+
+    finish(rows, statement, scope) {
+        const outputs = this.project(rows, statement.columns, scope);
+        const order = statement.orderBy.map(({ expr, direction }) => {
+            if (expr.type !== 'column') throw new DatabaseError('ORDER BY expression is not supported here');
+            const alias = !expr.table && statement.columns.find(item => item.alias === expr.name);
+            return { column: alias ? null : scope.resolve(expr), alias: alias ? expr.name : null, direction };
+        });
+
+        let pairs = rows.map((row, i) => ({ row, output: outputs[i] }));
+        if (statement.distinct) {
+            const seen = new Set();
+            pairs = pairs.filter(({ output }) => {
+                const key = JSON.stringify(output);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+
+        pairs = this.sort(pairs, order.map(({ column, alias, direction }) => ({
+            value: pair => alias ? pair.output[alias] : pair.row[column],
+            direction
+        })));
+        return this.paginate(pairs, statement).map(({ output }) => output);
+    }
+
+    project(rows, items, scope) {
+        if (items.length === 1 && items[0].type === 'star' && !items[0].table) return rows;
+
+        return rows.map(row => {
+            const output = {};
+            for (const item of items) {
+                const entries = item.type === 'star'
+                    ? (item.table ? scope.columnsOf(item.table) : Object.keys(row).map(key => ({ name: key, key })))
+                    : [{ name: item.alias || item.name, key: scope.resolve(item), qualifier: item.table }];
+
+                for (const { name, key, qualifier } of entries) {
+                    const outputName = name in output && qualifier ? `${qualifier}_${name}` : name;
+                    output[outputName] = key.includes('.') && !(key in row) ? this.db.resolvePath(row, key) : row[key];
+                    if (output[outputName] === undefined) output[outputName] = null;
+                }
+            }
+            return output;
+        });
+    }
+
+    sort(rows, order) {
+        if (!order.length) return rows;
+        const getters = order.map(({ column, value, direction }) => ({
+            get: value || (row => row[column]),
+            direction
+        }));
+
+        return [...rows].sort((a, b) => {
+            for (const { get, direction } of getters) {
+                const left = get(a);
+                const right = get(b);
+                if (left < right) return direction === 'asc' ? -1 : 1;
+                if (left > right) return direction === 'asc' ? 1 : -1;
+            }
+            return 0;
+        });
+    }
+
+    paginate(rows, { limit, offset }) {
+        const start = offset || 0;
+        return rows.slice(start, limit === null ? undefined : start + limit);
+    }
+
+    unique(rows) {
+        const seen = new Set();
+        return rows.filter(row => {
+            const key = JSON.stringify(row);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    async insert(statement) {
+        const meta = this.meta(statement.table);
+        const columns = statement.columns || meta.columns;
+        if (columns.includes('id')) {
+            throw new DatabaseError(`Column 'id' is assigned by the primary key strategy of table '${statement.table}'`);
+        }
+
+        const rows = statement.rows.map(values => {
+            if (values.length !== columns.length) {
+                throw new DatabaseError(`Column/value count mismatch in insert into ${statement.table}`);
+            }
+            return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+        });
+
+        if (rows.length === 1) return [await this.db.insert(statement.table, rows[0])];
+        return this.db.insertMany(statement.table, rows);
+    }
+
+    async update(statement) {
+        this.meta(statement.table);
+        const scope = this.scope({ from: { table: statement.table, alias: null }, joins: [] });
+        const where = statement.where ? this.compileWhere(statement.where, scope.resolve) : {};
+        return this.db.updateMany(statement.table, where, statement.set);
+    }
+
+    async delete(statement) {
+        this.meta(statement.table);
+        const scope = this.scope({ from: { table: statement.table, alias: null }, joins: [] });
+        const where = statement.where ? this.compileWhere(statement.where, scope.resolve) : {};
+        return this.db.delete(statement.table, where);
+    }
+
+    columnRules(definition) {
+        const rules = {};
+        const type = this.columnType(definition.sqlType);
+        rules.type = type;
+        if (definition.length !== null && type === 'string') rules.maxLength = definition.length;
+        if (!definition.notNull && !definition.primaryKey) rules.optional = true;
+        if (definition.default !== undefined) rules.default = definition.default;
+        if (definition.unique) rules.unique = true;
+        return rules;
+    }
+
+    columnType(sqlType) {
+        const type = ColumnTypes.typeForSQL(sqlType);
+        if (type) return type;
+        if (ColumnTypes.canonicalSQLType(sqlType) === 'TEXT') return 'string';
+        const name = sqlType.toLowerCase();
+        if (ColumnTypes.getType(name)) return name;
+        throw new DatabaseError(`Unsupported column type: ${sqlType}`);
+    }
+
+    keyStrategy(definition) {
+        const type = this.columnType(definition.sqlType);
+        if (type === 'integer') return 'autoIncrement';
+        if (type === 'uuid') return 'uuid';
+        if (definition.sqlType === 'CHAR' && definition.length === 26) return 'ulid';
+        return 'timestamp';
+    }
+
+    async createTable(statement) {
+        if (statement.ifNotExists && this.db.data[statement.table]?._meta) return false;
+
+        const columns = [];
+        const validations = {};
+        const unique = [];
+        const relations = {};
+        let primaryKey = null;
+
+        for (const definition of statement.columns) {
+            if (definition.primaryKey && definition.name === 'id') {
+                primaryKey = this.keyStrategy(definition);
+                continue;
+            }
+            if (definition.autoIncrement) {
+                throw new DatabaseError('AUTOINCREMENT is only supported on the id column');
+            }
+            if (definition.primaryKey) {
+                primaryKey = { column: definition.name };
+            }
+
+            columns.push(definition.name);
+            validations[definition.name] = this.columnRules(definition);
+            if (definition.references) relations[definition.name] = definition.references;
+        }
+
+        for (const constraint of statement.constraints) {
+            if (constraint.type === 'primaryKey') {
+                if (constraint.columns.length !== 1) {
+                    throw new DatabaseError('Composite primary keys are not supported; use a UNIQUE constraint instead');
+                }
+                const [column] = constraint.columns;
+                if (column !== 'id') {
+                    primaryKey = { column };
+                    if (validations[column]) delete validations[column].optional;
+                }
+            } else if (constraint.type === 'unique') {
+                unique.push(constraint.name ? { name: constraint.name, columns: constraint.columns } : constraint.columns);
+            } else {
+                if (constraint.columns.length !== 1) {
+                    throw new DatabaseError('Composite foreign keys are not supported');
+                }
+                relations[constraint.columns[0]] = constraint.references;
+            }
+        }
+
+        return this.db.createTable({ name: statement.table, columns, validations, unique, relations, primaryKey });
+    }
+
+    async createIndex(statement) {
+        const meta = this.meta(statement.table);
+        if (statement.unique) {
+            const name = statement.name;
+            if (statement.ifNotExists && this.db.uniqueConstraints(statement.table).some(constraint => constraint.name === name)) {
+                return false;
+            }
+            return this.db.alterTable(statement.table, { addUnique: [{ name, columns: statement.columns }] });
+        }
+
+        if (statement.ifNotExists && statement.columns.every(column => meta.indexes.includes(column))) {
+            return false;
+        }
+        return this.db.alterTable(statement.table, { addIndexes: statement.columns });
+    }
+
+    async alterTable(statement) {
+        this.meta(statement.table);
+
+        return this.db.runInTransaction(async (tx) => {
+            let tableName = statement.table;
+            for (const action of statement.actions) {
+                switch (action.action) {
+                    case 'addColumn': {
+                        const { column } = action;
+                        if (column.primaryKey || column.references) {
+                            throw new DatabaseError('ALTER TABLE ADD COLUMN does not support PRIMARY KEY or REFERENCES');
+                        }
+                        await tx.alterTable(tableName, {
+                            addColumns: [column.name],
+                            modifyValidations: { [column.name]: this.columnRules(column) }
+                        });
+                        break;
+                    }
+                    case 'dropColumn':
+                        await tx.alterTable(tableName, { dropColumns: [action.name] });
+                        break;
+                    case 'addUnique':
+                        await tx.alterTable(tableName, {
+                            addUnique: [action.name ? { name: action.name, columns: action.columns } : action.columns]
+                        });
+                        break;
+                    case 'dropUnique':
+                        await tx.alterTable(tableName, { dropUnique: [action.name] });
+                        break;
+                    case 'rename':
+                        await tx.renameTable(tableName, action.name);
+                        tableName = action.name;
+                        break;
+                }
+            }
+            return true;
+        });
+    }
+
+    async dropTable(statement) {
+        if (statement.ifExists && !this.db.data[statement.table]?._meta) return false;
+        return this.db.dropTable(statement.table, { force: statement.cascade });
+    }
+}
+
+module.exports = SQLExecutor;
@@ -0,0 +1,388 @@
+const { DatabaseError } = require('../exceptions/Error');
+const { typeForSQL } = require('./ColumnTypes');
+
+const META_PREFIX = 'pulsea:meta';
+const KV_PREFIX = 'pulsea:kv';
+const OPERATORS = ['<=', '>=', '<>', '!=', '=', '<', '>'];
+
+class SQLParser {
+    constructor(content) {
+        if (typeof content !== 'string') {
+            throw new DatabaseError('SQL content must be a string');
+        }
+        this.content = content;
+        this.tokens = [];
+        this.position = 0;
+        this.comments = [];
+    }
+
+    static tokenize(content) {
+        const tokens = [];
+        const comments = [];
+        let i = 0;
+
+        while (i < content.length) {
+            const char = content[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (char === '-' && content[i + 1] === '-') {
+                const end = content.indexOf('\n', i);
+                const stop = end === -1 ? content.length : end;
+                comments.push(content.slice(i + 2, stop).trim());
+                i = stop;
+                continue;
+            }
+
+            if (char === "'") {
+                let value = '';
+                i++;
+                while (true) {
+                    if (i >= content.length) {
+                        throw new DatabaseError('Unterminated string literal in SQL');
+                    }
+                    if (content[i] === '\\' && content[i + 1] === '\\') {
+                        value += '\\';
+                        i += 2;
+                    } else if (content[i] === "'" && content[i + 1] === "'") {
+                        value += "'";
+                        i += 2;
+                    } else if (content[i] === "'") {
+                        i++;
+                        break;
+                    } else {
+                        value += content[i++];
+                    }
+                }
+                tokens.push({ type: 'string', value });
+                continue;
+            }
+
+            if (char === '"' || char === '`') {
+                const end = content.indexOf(char, i + 1);
+                if (end === -1) {
+                    throw new DatabaseError('Unterminated quoted identifier in SQL');
+                }
+                tokens.push({ type: 'identifier', value: content.slice(i + 1, end) });
+                i = end + 1;
+                continue;
+            }
+
+            const numberMatch = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(content.slice(i, i + 64));
+            if (numberMatch && (char !== '-' || /\d/.test(content[i + 1]))) {
+                tokens.push({ type: 'number', value: Number(numberMatch[0]) });
+                i += numberMatch[0].length;
+                continue;
+            }
+
+            const wordMatch = /^[a-zA-Z_][a-zA-Z0-9_]*/.exec(content.slice(i, i + 256));
+            if (wordMatch) {
+                tokens.push({ type: 'word', value: wordMatch[0] });
+                i += wordMatch[0].length;
+                continue;
+            }
+
+            if (char === '?') {
+                tokens.push({ type: 'param', value: '?' });
+                i++;
+                continue;
+            }
+
+            const operator = OPERATORS.find(op => content.startsWith(op, i));
+            if (operator) {
+                tokens.push({ type: 'symbol', value: operator });
+                i += operator.length;
+                continue;
+            }
+
+            if ('(),;.*-'.includes(char)) {
+                tokens.push({ type: 'symbol', value: char });
+                i++;
+                continue;
+            }
+
+            throw new DatabaseError(`Unexpected character in SQL: ${char}`);
+        }
+
+        return { tokens, comments };
+    }
+
+    parse() {
+        const { tokens, comments } = SQLParser.tokenize(this.content);
+        this.tokens = tokens;
+        this.comments = comments;
+        this.position = 0;
+
+        const data = {};
+        const metaOverrides = {};
+        let kvData = {};
+
+        for (const comment of this.comments) {
+            if (comment.startsWith(META_PREFIX + ' ')) {
+                const rest = comment.slice(META_PREFIX.length + 1);
+                const space = rest.indexOf(' ');
+                metaOverrides[rest.slice(0, space)] = JSON.parse(rest.slice(space + 1));
+            } else if (comment.startsWith(KV_PREFIX + ' ')) {
+                kvData = { ...kvData, ...JSON.parse(comment.slice(KV_PREFIX.length + 1)) };
+            }
+        }
+
+        while (this.position < this.tokens.length) {
+            if (this.acceptSymbol(';')) continue;
+
+            if (this.acceptWord('CREATE')) {
+                if (this.acceptWord('TABLE')) {
+                    this.parseCreateTable(data);
+                } else if (this.acceptWord('INDEX')) {
+                    this.parseCreateIndex(data);
+                } else if (this.acceptWord('UNIQUE')) {
+                    this.expectKeyword('INDEX');
+                    this.parseCreateIndex(data, true);
+                } else {
+                    throw new DatabaseError('Unsupported CREATE statement in SQL content');
+                }
+            } else if (this.acceptWord('INSERT')) {
+                this.parseInsert(data);
+            } else {
+                throw new DatabaseError(`Unsupported SQL statement: ${this.peek().value}`);
+            }
+        }
+
+        for (const [tableName, table] of Object.entries(data)) {
+            if (metaOverrides[tableName]) {
+                table._meta = { ...table._meta, ...metaOverrides[tableName] };
+            }
+            const rowIds = Object.keys(table).filter(k => k !== '_meta');
+            table._meta.rowCount = rowIds.length;
+            if (table._meta.primaryKey?.strategy === 'autoIncrement' && table._meta.autoIncrement === undefined) {
+                table._meta.autoIncrement = Math.max(0, ...rowIds.map(Number).filter(Number.isFinite));
+            }
+        }
+
+        return { ...kvData, ...data };
+    }
+
+    parseCreateTable(data) {
+        this.skipIfNotExists();
+        const tableName = this.expectWord();
+        this.expectSymbol('(');
+
+        const columns = [];
+        const validations = {};
+        let primaryKey = null;
+
+        do {
+            const column = this.expectWord();
+            const sqlType = this.expectWord().toUpperCase();
+            let length = null;
+            if (this.acceptSymbol('(')) {
+                length = this.expect('number');
+                this.expectSymbol(')');
+            }
+
+            let primary = false;
+            let autoIncrement = false;
+            const rules = {};
+            while (true) {
+                if (this.acceptWord('PRIMARY')) {
+                    this.expectKeyword('KEY');
+                    primary = true;
+                } else if (this.acceptWord('AUTOINCREMENT')) {
+                    autoIncrement = true;
+                } else if (this.acceptWord('NOT')) {
+                    this.expectKeyword('NULL');
+                    rules.notNull = true;
+                } else if (this.acceptWord('NULL')) {
+                    rules.nullable = true;
+                } else if (this.acceptWord('DEFAULT')) {
+                    rules.default = this.parseValue();
+                } else {
+                    break;
+                }
+            }
+
+            if (column === 'id' && primary) {
+                if (autoIncrement) primaryKey = { strategy: 'autoIncrement' };
+                else if (sqlType === 'UUID') primaryKey = { strategy: 'uuid' };
+                else if (sqlType === 'CHAR' && length === 26) primaryKey = { strategy: 'ulid' };
+                continue;
+            }
+
+            columns.push(column);
+            const type = typeForSQL(sqlType);
+            const { notNull, ...validation } = rules;
+            if (type) validation.type = type;
+            if (sqlType === 'VARCHAR' && length !== null) {
+                validation.type = 'string';
+                validation.maxLength = length;
+            }
+            if (validation.default !== undefined) {
+                validation.default = this.castValue(validation.default, validation);
+            }
+            if (Object.keys(validation).length) validations[column] = validation;
+        } while (this.acceptSymbol(','));
+
+        this.expectSymbol(')');
+
+        data[tableName] = {
+            _meta: {
+                columns,
+                validations,
+                indexes: [],
+                relations: {},
+                ...(primaryKey ? { primaryKey } : {}),
+                created: new Date().toISOString(),
+                rowCount: 0
+            }
+        };
+    }
+
+    parseCreateIndex(data, unique = false) {
+        this.skipIfNotExists();
+        const indexName = this.expectWord();
+        this.expectKeyword('ON');
+        const tableName = this.expectWord();
+        this.expectSymbol('(');
+        const columns = [];
+        do {
+            columns.push(this.expectWord());
+        } while (this.acceptSymbol(','));
+        this.expectSymbol(')');
+
+        const meta = data[tableName]?._meta;
+        if (!meta) throw new DatabaseError(`Index references unknown table: ${tableName}`);
+
+        if (unique) {
+            const prefix = `uq_${tableName}_`;
+            const name = indexName.startsWith(prefix) ? indexName.slice(prefix.length) : indexName;
+            meta.unique = meta.unique || [];
+            if (!meta.unique.some(constraint => constraint.name === name)) meta.unique.push({ name, columns });
+            return;
+        }
+
+        for (const column of columns) {
+            if (!meta.indexes.includes(column)) meta.indexes.push(column);
+        }
+    }
+
+    parseInsert(data) {
+        this.expectKeyword('INTO');
+        const tableName = this.expectWord();
+        const meta = data[tableName]?._meta;
+        if (!meta) throw new DatabaseError(`Insert references unknown table: ${tableName}`);
+
+        this.expectSymbol('(');
+        const columns = [];
+        do {
+            columns.push(this.expectWord());
+        } while (this.acceptSymbol(','));
+        this.expectSymbol(')');
+
+        this.expectKeyword('VALUES');
+        this.expectSymbol('(');
+        const values = [];
+        do {
+            values.push(this.parseValue());
+        } while (this.acceptSymbol(','));
+        this.expectSymbol(')');
+
+        if (columns.length !== values.length) {
+            throw new DatabaseError(`Column/value count mismatch in insert into ${tableName}`);
+        }
+
+        const row = {};
+        let id = null;
+        columns.forEach((column, index) => {
+            if (column === 'id') {
+                id = String(values[index]);
+                return;
+            }
+            row[column] = this.castValue(values[index], meta.validations[column]);
+        });
+
+        if (id === null) throw new DatabaseError(`Insert into ${tableName} is missing an id`);
+        data[tableName][id] = row;
+    }
+
+    parseValue() {
+        const token = this.next();
+        if (token.type === 'string' || token.type === 'number') return token.value;
+        if (token.type === 'word' && token.value.toUpperCase() === 'NULL') return null;
+        throw new DatabaseError(`Unexpected value in SQL content: ${token.value}`);
+    }
+
+    castValue(value, rules = {}) {
+        if (value === null || typeof value !== 'number') return value;
+        if (rules.type === 'boolean') return value !== 0;
+        return value;
+    }
+
+    skipIfNotExists() {
+        if (this.acceptWord('IF')) {
+            this.expectKeyword('NOT');
+            this.expectKeyword('EXISTS');
+        }
+    }
+
+    peek() {
+        return this.tokens[this.position] || { type: 'eof', value: 'end of input' };
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type === 'eof') throw new DatabaseError('Unexpected end of SQL content');
+        this.position++;
+        return token;
+    }
+
+    expect(type) {
+        const token = this.next();
+        if (token.type !== type) {
+            throw new DatabaseError(`Expected ${type} in SQL content, got: ${token.value}`);
+        }
+        return token.value;
+    }
+
+    expectWord() {
+        return this.expect('word');
+    }
+
+    expectKeyword(keyword) {
+        if (!this.acceptWord(keyword)) {
+            throw new DatabaseError(`Expected ${keyword} in SQL content, got: ${this.peek().value}`);
+        }
+    }
+
+    expectSymbol(symbol) {
+        if (!this.acceptSymbol(symbol)) {
+            throw new DatabaseError(`Expected '${symbol}' in SQL content, got: ${this.peek().value}`);
+        }
+    }
+
+    acceptWord(keyword) {
+        const token = this.peek();
+        if (token.type === 'word' && token.value.toUpperCase() === keyword) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    acceptSymbol(symbol) {
+        const token = this.peek();
+        if (token.type === 'symbol' && token.value === symbol) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+}
+
+SQLParser.META_PREFIX = META_PREFIX;
+SQLParser.KV_PREFIX = KV_PREFIX;
+SQLParser.OPERATORS = OPERATORS;
+
+module.exports = SQLParser;
@@ -0,0 +1,631 @@
+const { DatabaseError } = require('../exceptions/Error');
+const SQLParser = require('./SQLParser');
+
+const { OPERATORS } = SQLParser;
+const AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'MEDIAN', 'STDDEV', 'ARRAY_AGG'];
+const RESERVED = [
+    'SELECT', 'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'BY', 'LIMIT', 'OFFSET', 'UNION', 'ALL',
+    'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON', 'AS', 'AND', 'OR', 'NOT',
+    'IN', 'IS', 'NULL', 'LIKE', 'BETWEEN', 'ASC', 'DESC', 'SET', 'VALUES', 'DISTINCT'
+];
+
+class SQLStatement {
+    constructor(sql, params = []) {
+        if (typeof sql !== 'string' || !sql.trim()) {
+            throw new DatabaseError('SQL statement must be a non-empty string');
+        }
+        if (!Array.isArray(params)) {
+            throw new DatabaseError('SQL parameters must be an array');
+        }
+        this.sql = sql;
+        this.params = params;
+        this.paramIndex = 0;
+        this.tokens = SQLParser.tokenize(sql).tokens;
+        this.position = 0;
+    }
+
+    static parse(sql, params = []) {
+        return new SQLStatement(sql, params).parse();
+    }
+
+    parse() {
+        let statement;
+        if (this.acceptWord('SELECT')) {
+            statement = this.parseSelectStatement();
+        } else if (this.acceptWord('INSERT')) {
+            statement = this.parseInsert();
+        } else if (this.acceptWord('UPDATE')) {
+            statement = this.parseUpdate();
+        } else if (this.acceptWord('DELETE')) {
+            statement = this.parseDelete();
+        } else if (this.acceptWord('CREATE')) {
+            statement = this.parseCreate();
+        } else if (this.acceptWord('ALTER')) {
+            statement = this.parseAlter();
+        } else if (this.acceptWord('DROP')) {
+            statement = this.parseDrop();
+        } else {
+            throw new DatabaseError(`Unsupported SQL statement: ${this.peek().value}`);
+        }
+
+        this.acceptSymbol(';');
+        if (this.position < this.tokens.length) {
+            throw new DatabaseError(`Unexpected token in SQL statement: ${this.peek().value}`);
+        }
+        if (this.paramIndex !== this.params.length) {
+            throw new DatabaseError(`SQL statement expects ${this.paramIndex} parameters, got ${this.params.length}`);
+        }
+        return statement;
+    }
+
+    parseSelectStatement() {
+        const first = this.parseSelect();
+        const parts = [{ all: false, select: first }];
+
+        while (this.acceptWord('UNION')) {
+            const all = this.acceptWord('ALL');
+            this.expectKeyword('SELECT');
+            parts.push({ all, select: this.parseSelect() });
+        }
+        if (parts.length === 1) return first;
+
+        for (const { select } of parts.slice(0, -1)) {
+            if (select.orderBy.length || select.limit !== null || select.offset !== null) {
+                throw new DatabaseError('ORDER BY, LIMIT and OFFSET are only allowed after the last SELECT of a UNION');
+            }
+        }
+
+        const last = parts[parts.length - 1].select;
+        const statement = { type: 'union', parts, orderBy: last.orderBy, limit: last.limit, offset: last.offset };
+        last.orderBy = [];
+        last.limit = null;
+        last.offset = null;
+        return statement;
+    }
+
+    parseSelect() {
+        const distinct = this.acceptWord('DISTINCT');
+        const columns = [];
+        do {
+            columns.push(this.parseSelectItem());
+        } while (this.acceptSymbol(','));
+
+        this.expectKeyword('FROM');
+        const from = this.parseTableRef();
+
+        const joins = [];
+        while (true) {
+            let type;
+            if (this.acceptWord('JOIN')) {
+                type = 'INNER';
+            } else if (['INNER', 'CROSS', 'LEFT', 'RIGHT', 'FULL'].some(word => this.peekWord(word))) {
+                type = this.next().value.toUpperCase();
+                if (!['INNER', 'CROSS'].includes(type)) this.acceptWord('OUTER');
+                this.expectKeyword('JOIN');
+            } else {
+                break;
+            }
+
+            const table = this.parseTableRef();
+            let on = null;
+            if (type !== 'CROSS') {
+                this.expectKeyword('ON');
+                on = this.parseExpression();
+            }
+            joins.push({ type, ...table, on });
+        }
+
+        const where = this.acceptWord('WHERE') ? this.parseExpression() : null;
+
+        const groupBy = [];
+        if (this.acceptWord('GROUP')) {
+            this.expectKeyword('BY');
+            do {
+                groupBy.push(this.parseColumnRef());
+            } while (this.acceptSymbol(','));
+        }
+
+        const having = this.acceptWord('HAVING') ? this.parseExpression() : null;
+
+        const orderBy = [];
+        if (this.acceptWord('ORDER')) {
+            this.expectKeyword('BY');
+            do {
+                const expr = this.parseOperand();
+                let direction = 'asc';
+                if (this.acceptWord('DESC')) direction = 'desc';
+                else this.acceptWord('ASC');
+                orderBy.push({ expr, direction });
+            } while (this.acceptSymbol(','));
+        }
+
+        let limit = null;
+        let offset = null;
+        if (this.acceptWord('LIMIT')) {
+            limit = this.parseCount('LIMIT');
+            if (this.acceptSymbol(',')) {
+                offset = limit;
+                limit = this.parseCount('LIMIT');
+            }
+        }
+        if (this.acceptWord('OFFSET')) {
+            offset = this.parseCount('OFFSET');
+        }
+
+        return { type: 'select', distinct, columns, from, joins, where, groupBy, having, orderBy, limit, offset };
+    }
+
+    parseSelectItem() {
+        if (this.acceptSymbol('*')) return { type: 'star', table: null };
+
+        const token = this.peek();
+        const following = this.tokens[this.position + 1];
+        const afterDot = this.tokens[this.position + 2];
+        if (token.type !== 'string' && following?.value === '.' && afterDot?.value === '*') {
+            this.position += 3;
+            return { type: 'star', table: token.value };
+        }
+
+        const item = this.parseOperand();
+        if (item.type === 'value') {
+            throw new DatabaseError('Literal values are not supported in the select list');
+        }
+        return { ...item, alias: this.parseAlias() };
+    }
+
+    parseTableRef() {
+        const table = this.expectIdentifier();
+        return { table, alias: this.parseAlias() };
+    }
+
+    parseAlias() {
+        if (this.acceptWord('AS')) return this.expectIdentifier();
+        const token = this.peek();
+        if (token.type === 'identifier' || (token.type === 'word' && !RESERVED.includes(token.value.toUpperCase()))) {
+            this.position++;
+            return token.value;
+        }
+        return null;
+    }
+
+    parseColumnRef() {
+        const first = this.expectIdentifier();
+        if (this.acceptSymbol('.')) {
+            return { type: 'column', table: first, name: this.expectIdentifier() };
+        }
+        return { type: 'column', table: null, name: first };
+    }
+
+    parseOperand() {
+        const token = this.peek();
+
+        if (token.type === 'string' || token.type === 'number' || token.type === 'param' || token.value === '-') {
+            return { type: 'value', value: this.parseLiteral() };
+        }
+        if (token.type === 'word' && ['NULL', 'TRUE', 'FALSE'].includes(token.value.toUpperCase())) {
+            return { type: 'value', value: this.parseLiteral() };
+        }
+
+        const upper = token.type === 'word' ? token.value.toUpperCase() : null;
+        if (AGGREGATES.includes(upper) && this.tokens[this.position + 1]?.value === '(') {
+            this.position += 2;
+            const distinct = this.acceptWord('DISTINCT');
+            const column = this.acceptSymbol('*') ? '*' : this.parseColumnRef();
+            this.expectSymbol(')');
+            if (column === '*' && upper !== 'COUNT') {
+                throw new DatabaseError(`${upper}(*) is not supported`);
+            }
+            return { type: 'aggregate', name: upper, column, distinct };
+        }
+
+        return this.parseColumnRef();
+    }
+
+    parseLiteral() {
+        const token = this.next();
+        if (token.type === 'string' || token.type === 'number') return token.value;
+        if (token.type === 'param') return this.bindParam();
+        if (token.value === '-') {
+            const number = this.next();
+            if (number.type !== 'number') {
+                throw new DatabaseError(`Expected number in SQL statement, got: ${number.value}`);
+            }
+            return -number.value;
+        }
+        if (token.type === 'word') {
+            const upper = token.value.toUpperCase();
+            if (upper === 'NULL') return null;
+            if (upper === 'TRUE') return true;
+            if (upper === 'FALSE') return false;
+        }
+        throw new DatabaseError(`Expected value in SQL statement, got: ${token.value}`);
+    }
+
+    parseCount(clause) {
+        const value = this.parseLiteral();
+        if (!Number.isInteger(value) || value < 0) {
+            throw new DatabaseError(`${clause} must be a non-negative integer`);
+        }
+        return value;
+    }
+
+    bindParam() {
+        if (this.paramIndex >= this.params.length) {
+            throw new DatabaseError(`Missing value for SQL parameter ${this.paramIndex + 1}`);
+        }
+        return this.params[this.paramIndex++];
+    }
+
+    parseExpression() {
+        const items = [this.parseConjunction()];
+        while (this.acceptWord('OR')) {
+            items.push(this.parseConjunction());
+        }
+        return items.length === 1 ? items[0] : { type: 'or', items };
+    }
+
+    parseConjunction() {
+        const items = [this.parseNegation()];
+        while (this.acceptWord('AND')) {
+            items.push(this.parseNegation());
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    }
+
+    parseNegation() {
+        if (this.acceptWord('NOT')) {
+            return { type: 'not', expr: this.parseNegation() };
+        }
+        return this.parsePredicate();
+    }
+
+    parsePredicate() {
+        if (this.acceptSymbol('(')) {
+            const expr = this.parseExpression();
+            this.expectSymbol(')');
+            return expr;
+        }
+
+        const left = this.parseOperand();
+
+        if (this.acceptWord('IS')) {
+            const negate = this.acceptWord('NOT');
+            this.expectKeyword('NULL');
+            return { type: 'null', left, negate };
+        }
+
+        const negate = this.acceptWord('NOT');
+        if (this.acceptWord('IN')) {
+            this.expectSymbol('(');
+            const values = [];
+            do {
+                const isParam = this.peek().type === 'param';
+                const value = this.parseLiteral();
+                if (isParam && Array.isArray(value)) values.push(...value);
+                else values.push(value);
+            } while (this.acceptSymbol(','));
+            this.expectSymbol(')');
+            return { type: 'in', left, values, negate };
+        }
+        if (this.acceptWord('LIKE')) {
+            return { type: 'like', left, pattern: this.parseLiteral(), negate };
+        }
+        if (this.acceptWord('BETWEEN')) {
+            const low = this.parseLiteral();
+            this.expectKeyword('AND');
+            return { type: 'between', left, low, high: this.parseLiteral(), negate };
+        }
+        if (negate) {
+            throw new DatabaseError(`Expected IN, LIKE or BETWEEN after NOT, got: ${this.peek().value}`);
+        }
+
+        const token = this.peek();
+        if (token.type !== 'symbol' || !OPERATORS.includes(token.value)) {
+            throw new DatabaseError(`Expected comparison operator in SQL statement, got: ${token.value}`);
+        }
+        this.position++;
+        return { type: 'compare', op: token.value === '<>' ? '!=' : token.value, left, right: this.parseOperand() };
+    }
+
+    parseInsert() {
+        this.expectKeyword('INTO');
+        const table = this.expectIdentifier();
+
+        let columns = null;
+        if (this.acceptSymbol('(')) {
+            columns = this.parseIdentifierList();
+        }
+
+        this.expectKeyword('VALUES');
+        const rows = [];
+        do {
+            this.expectSymbol('(');
+            const values = [];
+            do {
+                values.push(this.parseLiteral());
+            } while (this.acceptSymbol(','));
+            this.expectSymbol(')');
+            rows.push(values);
+        } while (this.acceptSymbol(','));
+
+        return { type: 'insert', table, columns, rows };
+    }
+
+    parseUpdate() {
+        const table = this.expectIdentifier();
+        this.expectKeyword('SET');
+
+        const set = {};
+        do {
+            const column = this.expectIdentifier();
+            this.expectSymbol('=');
+            set[column] = this.parseLiteral();
+        } while (this.acceptSymbol(','));
+
+        const where = this.acceptWord('WHERE') ? this.parseExpression() : null;
+        return { type: 'update', table, set, where };
+    }
+
+    parseDelete() {
+        this.expectKeyword('FROM');
+        const table = this.expectIdentifier();
+        const where = this.acceptWord('WHERE') ? this.parseExpression() : null;
+        return { type: 'delete', table, where };
+    }
+
+    parseCreate() {
+        if (this.acceptWord('TABLE')) {
+            const ifNotExists = this.parseIfNotExists();
+            const table = this.expectIdentifier();
+            this.expectSymbol('(');
+
+            const columns = [];
+            const constraints = [];
+            do {
+                const constraint = this.parseTableConstraint();
+                if (constraint) constraints.push(constraint);
+                else columns.push(this.parseColumnDefinition());
+            } while (this.acceptSymbol(','));
+            this.expectSymbol(')');
+
+            return { type: 'createTable', table, ifNotExists, columns, constraints };
+        }
+
+        const unique = this.acceptWord('UNIQUE');
+        if (this.acceptWord('INDEX')) {
+            const ifNotExists = this.parseIfNotExists();
+            const name = this.expectIdentifier();
+            this.expectKeyword('ON');
+            const table = this.expectIdentifier();
+            this.expectSymbol('(');
+            return { type: 'createIndex', name, table, unique, ifNotExists, columns: this.parseIdentifierList() };
+        }
+
+        throw new DatabaseError(`Unsupported CREATE statement: ${this.peek().value}`);
+    }
+
+    parseColumnDefinition() {
+        const name = this.expectIdentifier();
+        const sqlType = this.expectWord().toUpperCase();
+        let length = null;
+        if (this.acceptSymbol('(')) {
+            length = this.parseCount('Column length');
+            if (this.acceptSymbol(',')) this.parseCount('Column scale');
+            this.expectSymbol(')');
+        }
+
+        const column = { name, sqlType, length, notNull: false, primaryKey: false, autoIncrement: false, unique: false, references: null };
+        while (true) {
+            if (this.acceptWord('PRIMARY')) {
+                this.expectKeyword('KEY');
+                column.primaryKey = true;
+            } else if (this.acceptWord('AUTOINCREMENT') || this.acceptWord('AUTO_INCREMENT')) {
+                column.autoIncrement = true;
+            } else if (this.acceptWord('NOT')) {
+                this.expectKeyword('NULL');
+                column.notNull = true;
+            } else if (this.acceptWord('NULL')) {
+                column.notNull = false;
+            } else if (this.acceptWord('UNIQUE')) {
+                column.unique = true;
+            } else if (this.acceptWord('DEFAULT')) {
+                column.default = this.parseLiteral();
+            } else if (this.acceptWord('REFERENCES')) {
+                column.references = this.parseReferences();
+            } else if (this.peekWord('CHECK')) {
+                throw new DatabaseError('CHECK constraints are not supported; use validation rules instead');
+            } else {
+                break;
+            }
+        }
+        return column;
+    }
+
+    parseTableConstraint() {
+        let name = null;
+        if (this.acceptWord('CONSTRAINT')) {
+            name = this.expectIdentifier();
+        }
+
+        if (this.acceptWord('PRIMARY')) {
+            this.expectKeyword('KEY');
+            this.expectSymbol('(');
+            return { type: 'primaryKey', name, columns: this.parseIdentifierList() };
+        }
+        if (this.acceptWord('UNIQUE')) {
+            this.expectSymbol('(');
+            return { type: 'unique', name, columns: this.parseIdentifierList() };
+        }
+        if (this.acceptWord('FOREIGN')) {
+            this.expectKeyword('KEY');
+            this.expectSymbol('(');
+            const columns = this.parseIdentifierList();
+            this.expectKeyword('REFERENCES');
+            return { type: 'foreignKey', name, columns, references: this.parseReferences() };
+        }
+
+        if (name) {
+            throw new DatabaseError(`Unsupported constraint in SQL statement: ${this.peek().value}`);
+        }
+        return null;
+    }
+
+    parseReferences() {
+        const table = this.expectIdentifier();
+        let column = 'id';
+        if (this.acceptSymbol('(')) {
+            [column] = this.parseIdentifierList();
+        }
+
+        const references = { table, column };
+        while (this.acceptWord('ON')) {
+            let event = 'onDelete';
+            if (!this.acceptWord('DELETE')) {
+                this.expectKeyword('UPDATE');
+                event = 'onUpdate';
+            }
+            references[event] = this.parseReferentialAction();
+        }
+        return references;
+    }
+
+    parseReferentialAction() {
+        if (this.acceptWord('CASCADE')) return 'cascade';
+        if (this.acceptWord('RESTRICT')) return 'restrict';
+        if (this.acceptWord('SET')) {
+            this.expectKeyword('NULL');
+            return 'setNull';
+        }
+        if (this.acceptWord('NO')) {
+            this.expectKeyword('ACTION');
+            return 'noAction';
+        }
+        throw new DatabaseError(`Unsupported referential action: ${this.peek().value}`);
+    }
+
+    parseAlter() {
+        this.expectKeyword('TABLE');
+        const table = this.expectIdentifier();
+
+        const actions = [];
+        do {
+            if (this.acceptWord('ADD')) {
+                const constraint = this.parseTableConstraint();
+                if (constraint) {
+                    if (constraint.type !== 'unique') {
+                        throw new DatabaseError('Only UNIQUE constraints can be added with ALTER TABLE');
+                    }
+                    actions.push({ action: 'addUnique', name: constraint.name, columns: constraint.columns });
+                } else {
+                    this.acceptWord('COLUMN');
+                    actions.push({ action: 'addColumn', column: this.parseColumnDefinition() });
+                }
+            } else if (this.acceptWord('DROP')) {
+                if (this.acceptWord('CONSTRAINT')) {
+                    actions.push({ action: 'dropUnique', name: this.expectIdentifier() });
+                } else {
+                    this.acceptWord('COLUMN');
+                    actions.push({ action: 'dropColumn', name: this.expectIdentifier() });
+                }
+            } else if (this.acceptWord('RENAME')) {
+                this.expectKeyword('TO');
+                actions.push({ action: 'rename', name: this.expectIdentifier() });
+            } else {
+                throw new DatabaseError(`Unsupported ALTER TABLE action: ${this.peek().value}`);
+            }
+        } while (this.acceptSymbol(','));
+
+        return { type: 'alterTable', table, actions };
+    }
+
+    parseDrop() {
+        this.expectKeyword('TABLE');
+        let ifExists = false;
+        if (this.acceptWord('IF')) {
+            this.expectKeyword('EXISTS');
+            ifExists = true;
+        }
+        const table = this.expectIdentifier();
+        const cascade = this.acceptWord('CASCADE');
+        return { type: 'dropTable', table, ifExists, cascade };
+    }
+
+    parseIfNotExists() {
+        if (!this.acceptWord('IF')) return false;
+        this.expectKeyword('NOT');
+        this.expectKeyword('EXISTS');
+        return true;
+    }
+
+    parseIdentifierList() {
+        const identifiers = [];
+        do {
+            identifiers.push(this.expectIdentifier());
+        } while (this.acceptSymbol(','));
+        this.expectSymbol(')');
+        return identifiers;
+    }
+
+    peek() {
+        return this.tokens[this.position] || { type: 'eof', value: 'end of statement' };
+    }
+
+    peekWord(keyword) {
+        const token = this.peek();
+        return token.type === 'word' && token.value.toUpperCase() === keyword;
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type === 'eof') throw new DatabaseError('Unexpected end of SQL statement');
+        this.position++;
+        return token;
+    }
+
+    expectWord() {
+        const token = this.next();
+        if (token.type !== 'word') {
+            throw new DatabaseError(`Expected keyword in SQL statement, got: ${token.value}`);
+        }
+        return token.value;
+    }
+
+    expectIdentifier() {
+        const token = this.next();
+        if (token.type !== 'word' && token.type !== 'identifier') {
+            throw new DatabaseError(`Expected identifier in SQL statement, got: ${token.value}`);
+        }
+        return token.value;
+    }
+
+    expectKeyword(keyword) {
+        if (!this.acceptWord(keyword)) {
+            throw new DatabaseError(`Expected ${keyword} in SQL statement, got: ${this.peek().value}`);
+        }
+    }
+
+    expectSymbol(symbol) {
+        if (!this.acceptSymbol(symbol)) {
+            throw new DatabaseError(`Expected '${symbol}' in SQL statement, got: ${this.peek().value}`);
+        }
+    }
+
+    acceptWord(keyword) {
+        if (this.peekWord(keyword)) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    acceptSymbol(symbol) {
+        const token = this.peek();
+        if (token.type === 'symbol' && token.value === symbol) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+}
+
+module.exports = SQLStatement;
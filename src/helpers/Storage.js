@@ -0,0 +1,40 @@
+const FileStorage = require('./FileStorage');
+const MemoryStorage = require('./MemoryStorage');
+const TableDirectoryStorage = require('./TableDirectoryStorage');
+const { DatabaseError } = require('../exceptions/Error');
+
+const MEMORY_FILE = ':memory:';
+const OPERATIONS = ['read', 'write', 'atomicReplace', 'list', 'stat', 'remove'];
+
+function validate(adapter) {
+    const missing = OPERATIONS.filter(operation => typeof adapter[operation] !== 'function');
+    if (missing.length) {
+        throw new DatabaseError(`Storage adapter is missing: ${missing.join(', ')}`);
+    }
+    return adapter;
+}
+
+function create(storage, { root, file }) {
+    if (storage === undefined || storage === null) {
+        storage = file === MEMORY_FILE ? 'memory' : 'file';
+    }
+
+    if (typeof storage === 'object') return validate(storage);
+
+    switch (storage) {
+        case 'file': return new FileStorage(root);
+        case 'memory': return new MemoryStorage();
+        case 'tables': return new TableDirectoryStorage(root, { file });
+        default: throw new DatabaseError(`Unknown storage: ${storage}. Use "file", "memory", "tables" or an adapter object`);
+    }
+}
+
+module.exports = {
+    MEMORY_FILE,
+    OPERATIONS,
+    validate,
+    create,
+    FileStorage,
+    MemoryStorage,
+    TableDirectoryStorage
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const FileStorage = require('./FileStorage');
+const { DatabaseError } = require('../exceptions/Error');
+
+const CURRENT_FILE = 'CURRENT';
+const META_FILE = '_meta.json';
+const KEYS_FILE = '_keys.json';
+const TABLES_DIR = 'tables';
+const GENERATION_PREFIX = 'gen-';
+
+class TableDirectoryStorage extends FileStorage {
+    constructor(root, { file }) {
+        super(root);
+        if (!file) throw new DatabaseError('Table directory storage needs the database file name');
+        this.file = file;
+        this.directory = file.slice(0, file.length - path.extname(file).length) || file;
+        this.formats = ['json'];
+        this.generation = null;
+        this.written = new Map();
+    }
+
+    part(generation, name) {
+        return `${this.directory}/${generation}/${name}`;
+    }
+
+    async currentGeneration() {
+        const generation = await super.read(`${this.directory}/${CURRENT_FILE}`);
+        return generation ? generation.trim() : null;
+    }
+
+    async parts(generation) {
+        const names = [META_FILE, KEYS_FILE];
+        for (const file of await super.list(this.part(generation, TABLES_DIR))) {
+            if (file.endsWith('.json')) names.push(`${TABLES_DIR}/${file}`);
+        }
+        return names;
+    }
+
+    async read(name, options) {
+        if (name !== this.file) return super.read(name, options);
+
+        const generation = await this.currentGeneration();
+        if (!generation) return super.read(name, options);
+
+        const written = new Map();
+        for (const part of await this.parts(generation)) {
+            const content = await super.read(this.part(generation, part));
+            if (content === null) {
+                throw new DatabaseError(`Table directory generation ${generation} is missing ${part}`);
+            }
+            written.set(part, content);
+        }
+        this.generation = generation;
+        this.written = written;
+
+        const data = { _meta: JSON.parse(written.get(META_FILE)), ...JSON.parse(written.get(KEYS_FILE)) };
+        for (const [part, content] of written) {
+            if (!part.startsWith(`${TABLES_DIR}/`)) continue;
+            data[decodeURIComponent(part.slice(TABLES_DIR.length + 1, -5))] = JSON.parse(content);
+        }
+        return JSON.stringify(data);
+    }
+
+    async write(name, content) {
+        if (name === this.file) return this.atomicReplace(name, content);
+        return super.write(name, content);
+    }
+
+    async atomicReplace(name, content) {
+        if (name !== this.file) return super.atomicReplace(name, content);
+
+        const { _meta = {}, ...rest } = content.trim() ? JSON.parse(content) : {};
+        const keys = {};
+        const parts = new Map([[META_FILE, JSON.stringify(_meta, null, 2)]]);
+        for (const [key, value] of Object.entries(rest)) {
+            if (value?._meta) parts.set(`${TABLES_DIR}/${encodeURIComponent(key)}.json`, JSON.stringify(value, null, 2));
+            else keys[key] = value;
+        }
+        parts.set(KEYS_FILE, JSON.stringify(keys, null, 2));
+
+        const previous = await this.currentGeneration();
+        const reusable = previous !== null && previous === this.generation;
+        const generation = `${GENERATION_PREFIX}${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+
+        for (const [part, partContent] of parts) {
+            const target = this.part(generation, part);
+            if (reusable && this.written.get(part) === partContent && await this.link(this.part(previous, part), target)) {
+                continue;
+            }
+            await super.write(target, partContent);
+        }
+
+        await super.atomicReplace(`${this.directory}/${CURRENT_FILE}`, generation);
+        this.generation = generation;
+        this.written = parts;
+
+        await this.removeStaleGenerations(generation);
+        await super.remove(name);
+    }
+
+    async link(source, target) {
+        try {
+            await fs.promises.mkdir(path.dirname(this.resolve(target)), { recursive: true });
+            await fs.promises.link(this.resolve(source), this.resolve(target));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async removeStaleGenerations(current) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.resolve(this.directory), { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        for (const entry of entries) {
+            if (entry.isDirectory() && entry.name.startsWith(GENERATION_PREFIX) && entry.name !== current) {
+                await super.remove(`${this.directory}/${entry.name}`);
+            }
+        }
+    }
+
+    async stat(name) {
+        if (name !== this.file) return super.stat(name);
+
+        const generation = await this.currentGeneration();
+        if (!generation) return super.stat(name);
+
+        const stats = [];
+        for (const part of await this.parts(generation)) {
+            stats.push(await super.stat(this.part(generation, part)));
+        }
+        return stats.filter(Boolean).reduce((total, stat) => ({
+            size: total.size + stat.size,
+            mtime: stat.mtime > total.mtime ? stat.mtime : total.mtime
+        }), { size: 0, mtime: new Date(0) });
+    }
+
+    async remove(name) {
+        if (name !== this.file) return super.remove(name);
+
+        this.generation = null;
+        this.written = new Map();
+        const removed = await super.remove(this.directory);
+        return (await super.remove(name)) || removed;
+    }
+}
+
+module.exports = TableDirectoryStorage;
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open } = require('./helper');
+
+const createOrders = async (db) => {
+    await db.createTable({ name: 'orders', columns: ['country', 'userId', 'amount'] });
+    for (const [country, userId, amount] of [
+        ['TR', 'u1', 10], ['TR', 'u1', 30], ['TR', 'u2', 50], ['DE', 'u3', 20], ['DE', 'u3', 40], ['US', 'u4', 5]
+    ]) {
+        await db.insert('orders', { country, userId, amount });
+    }
+};
+
+test('groupBy computes named aggregates, filters with having and orders the groups', async () => {
+    const db = open();
+    await createOrders(db);
+
+    const groups = await db.groupBy('orders', {
+        columns: ['country'],
+        aggregates: [
+            { fn: 'count', as: 'orders' },
+            { fn: 'countDistinct', column: 'userId', as: 'customers' },
+            { fn: 'sum', column: 'amount', as: 'revenue' },
+            { fn: 'median', column: 'amount' },
+            { fn: 'arrayAgg', column: 'userId', as: 'users' }
+        ],
+        having: { orders: { $gte: 2 } },
+        orderBy: 'revenue desc'
+    });
+
+    assert.deepStrictEqual(groups, [
+        { country: 'TR', orders: 3, customers: 2, revenue: 90, median_amount: 30, users: ['u1', 'u1', 'u2'] },
+        { country: 'DE', orders: 2, customers: 1, revenue: 60, median_amount: 30, users: ['u3', 'u3'] }
+    ]);
+});
+
+test('groupBy without aggregates keeps the count, sum, avg, min and max of numeric fields', async () => {
+    const db = open();
+    await createOrders(db);
+
+    const [top] = await db.groupBy('orders', { columns: ['country'], orderBy: 'count desc', limit: 1 });
+    assert.deepStrictEqual(top, { country: 'TR', count: 3, sum_amount: 90, avg_amount: 30, min_amount: 10, max_amount: 50 });
+});
+
+test('aggregate accepts both function forms and the statistical functions', async () => {
+    const db = open();
+    await createOrders(db);
+
+    const result = await db.aggregate('orders', {
+        functions: [
+            { name: 'sum', column: 'amount' },
+            { name: 'avg', column: 'amount', alias: 'mean' },
+            { fn: 'percentile', column: 'amount', p: 0.5, as: 'p50' },
+            { fn: 'stddev', column: 'amount', as: 'spread' }
+        ],
+        where: { country: { $ne: 'US' } }
+    });
+    assert.deepStrictEqual(result, { sum_amount: 150, mean: 30, p50: 30, spread: Math.sqrt(200) });
+
+    await assert.rejects(db.aggregate('orders', { functions: [{ fn: 'mode', column: 'amount' }] }), /Unknown aggregate function: mode/);
+});
+
+test('avg of no rows is 0 and min/max count non-numeric values as 0', async () => {
+    const db = open();
+    await createOrders(db);
+    await db.insert('orders', { country: 'FR', userId: 'u5', amount: 'pending' });
+
+    const empty = await db.aggregate('orders', { functions: [{ fn: 'avg', column: 'amount' }], where: { country: 'JP' } });
+    assert.deepStrictEqual(empty, { avg_amount: 0 });
+
+    const result = await db.aggregate('orders', {
+        functions: [{ fn: 'min', column: 'amount' }, { fn: 'max', column: 'amount' }]
+    });
+    assert.deepStrictEqual(result, { min_amount: 0, max_amount: 50 });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert');
+const { open, reopen } = require('./helper');
+
+const seed = async (db) => {
+    await db.set('settings.theme', 'dark');
+    await db.createTable({ name: 'users', columns: ['name'] });
+    await db.insert('users', { name: 'ann' });
+};
+
+test('backups are encrypted behind a header and verify with the backup key', async () => {
+    const db = open({ backupEncryption: { secretKey: 'backup-key' } });
+    await seed(db);
+
+    const backupPath = await db.backup();
+    assert.ok(backupPath.endsWith('.pulsea'));
+
+    const [headerLine, body] = fs.readFileSync(backupPath, 'utf8').split('\n');
+    const header = JSON.parse(headerLine);
+    assert.strictEqual(header.version, 1);
+    assert.strictEqual(header.sourceKeyId, db.data._meta.keyId);
+    assert.ok(header.keyCheck);
+    assert.ok(!body.includes('users'));
+
+    const result = await db.verifyBackup(backupPath);
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual([result.tables, result.keys], [1, 1]);
+    assert.strictEqual((await reopen(db, { backupEncryption: null }).verifyBackup(backupPath, { secretKey: 'backup-key' })).valid, true);
+});
+
+test('verifyBackup reports a tampered body or the wrong key instead of throwing', async () => {
+    const db = open();
+    await seed(db);
+    const backupPath = await db.backup({ compression: false });
+
+    const wrong = await db.verifyBackup(backupPath, { secretKey: 'wrong-key' });
+    assert.strictEqual(wrong.valid, false);
+
+    const [headerLine, body] = fs.readFileSync(backupPath, 'utf8').split('\n');
+    fs.writeFileSync(backupPath, `${headerLine}\n${body.slice(0, -4)}AAAA`);
+    const tampered = await db.verifyBackup(backupPath);
+    assert.strictEqual(tampered.valid, false);
+    assert.match(tampered.error, /checksum/i);
+});
+
+test('an encrypted backup restores the tables and keys it holds', async () => {
+    const db = open();
+    await seed(db);
+    const backupPath = await db.backup();
+
+    await db.set('settings.theme', 'light');
+    await db.dropTable('users');
+    await db.restoreFromBackup(backupPath);
+
+    assert.strictEqual(await db.get('settings.theme'), 'dark');
+    assert.deepStrictEqual((await db.query('users', {})).map(user => user.name), ['ann']);
+});
+
+test('plaintext exports must be asked for and hold readable values', async () => {
+    const db = open();
+    await db.set('theme', 'dark');
+
+    const exportPath = await db.backup({ plaintext: true });
+    assert.ok(exportPath.endsWith('.json'));
+    assert.strictEqual((await db.verifyBackup(exportPath)).valid, true);
+    assert.strictEqual(JSON.parse(fs.readFileSync(exportPath, 'utf8')).theme, 'dark');
+});
+
+test('plaintext exports decrypt nested keys and restore them', async () => {
+    const db = open();
+    await db.set('settings.theme', 'dark');
+    await db.set('settings.limits.daily', 5);
+    await db.set('profile', { name: 'ann' });
+
+    const exportPath = await db.backup({ plaintext: true });
+    const exported = JSON.parse(fs.readFileSync(exportPath, 'utf8'));
+    assert.deepStrictEqual(exported.settings, { theme: 'dark', limits: { daily: 5 } });
+    assert.deepStrictEqual(exported.profile, { name: 'ann' });
+
+    await db.set('settings.theme', 'light');
+    await db.restore({ at: exportPath });
+    assert.strictEqual(await db.get('settings.theme'), 'dark');
+    assert.strictEqual(await db.get('settings.limits.daily'), 5);
+    assert.deepStrictEqual(await db.get('settings'), { theme: 'dark', limits: { daily: 5 } });
+    assert.deepStrictEqual(await db.get('profile'), { name: 'ann' });
+});
+
+test('plaintext exports hold decrypted rows and restore them', async () => {
+    const db = open();
+    await seed(db);
+
+    const exportPath = await db.backup({ plaintext: true });
+    const exported = JSON.parse(fs.readFileSync(exportPath, 'utf8'));
+    assert.deepStrictEqual(Object.values(exported.users).filter(row => !row.columns).map(row => row.name), ['ann']);
+
+    await db.dropTable('users');
+    await db.restore({ at: exportPath });
+    assert.deepStrictEqual((await db.query('users', {})).map(user => user.name), ['ann']);
+});
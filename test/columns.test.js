@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open, reopen } = require('./helper');
+
+const createMembers = async (db, validate = value => value !== 'admin' || 'Nickname is reserved') => {
+    await db.createTable({
+        name: 'members',
+        columns: ['nickname', 'age', 'active', 'joinedAt', 'roles', 'website'],
+        validations: {
+            nickname: { type: 'string', minLength: 2, maxLength: 8, validate },
+            age: { type: 'integer', min: 0 },
+            active: { type: 'boolean', default: true },
+            joinedAt: { type: 'date', default: () => new Date(0) },
+            roles: { type: 'array', default: [] },
+            website: { type: 'url', optional: true }
+        }
+    });
+};
+
+test('values are coerced to their column type and defaults fill missing columns', async () => {
+    const db = open();
+    await createMembers(db);
+
+    const member = await db.insert('members', { nickname: 'ann', age: '42', active: 'false' });
+    assert.strictEqual(member.age, 42);
+    assert.strictEqual(member.active, false);
+    assert.strictEqual(member.joinedAt, new Date(0).toISOString());
+    assert.deepStrictEqual(member.roles, []);
+    assert.strictEqual(member.website, null);
+
+    const [stored] = await db.query('members', { where: { nickname: 'ann' } });
+    assert.strictEqual(stored.age, 42);
+});
+
+test('rules reject values outside the column type, range and length', async () => {
+    const db = open();
+    await createMembers(db);
+
+    await assert.rejects(db.insert('members', { nickname: 'ann', age: 1.5 }), /expected integer/);
+    await assert.rejects(db.insert('members', { nickname: 'ann', age: -1 }), /less than minimum/);
+    await assert.rejects(db.insert('members', { nickname: 'a', age: 1 }), /shorter than minimum length/);
+    await assert.rejects(db.insert('members', { nickname: 'ann', age: 1, website: 'not a url' }), /expected url/);
+    await assert.rejects(db.insert('members', { age: 1 }), /Missing required columns: nickname/);
+    assert.strictEqual(await db.count('members'), 0);
+});
+
+test('custom validators can reject a value with their own message', async () => {
+    const db = open();
+    await createMembers(db);
+
+    await assert.rejects(db.insert('members', { nickname: 'admin', age: 1 }), /Nickname is reserved/);
+    const member = await db.insert('members', { nickname: 'ann', age: 1 });
+    await assert.rejects(db.update(`members.${member.id}`, { nickname: 'admin' }), /Nickname is reserved/);
+});
+
+test('insert runs a custom validator once per row', async () => {
+    let calls = 0;
+    const db = open();
+    await createMembers(db, () => { calls++; return true; });
+
+    await db.insert('members', { nickname: 'ann', age: 1 });
+    assert.strictEqual(calls, 1);
+});
+
+test('update runs a custom validator once per row', async () => {
+    let calls = 0;
+    const db = open();
+    await createMembers(db, () => { calls++; return true; });
+
+    const member = await db.insert('members', { nickname: 'ann', age: 1 });
+    await db.update(`members.${member.id}`, { nickname: 'annie' });
+    assert.strictEqual(calls, 2);
+    assert.strictEqual((await db.get(`members.${member.id}`)).nickname, 'annie');
+});
+
+test('reopening without column hooks fails with the missing hook', async () => {
+    const db = open();
+    await createMembers(db);
+
+    await assert.rejects(reopen(db).initialized, /Validator for column nickname in table members is not registered/);
+});
+
+test('column hooks passed to the constructor apply after reopening', async () => {
+    const db = open();
+    await createMembers(db);
+
+    const copy = reopen(db, {
+        columnHooks: {
+            members: {
+                nickname: { validate: value => value !== 'admin' },
+                joinedAt: { default: () => new Date(1000) }
+            }
+        }
+    });
+    const member = await copy.insert('members', { nickname: 'ann', age: 1 });
+    assert.strictEqual(member.joinedAt, new Date(1000).toISOString());
+    await assert.rejects(copy.insert('members', { nickname: 'admin', age: 1 }), /failed custom validation/);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open, reopen } = require('./helper');
+
+test('opening a database with the wrong key fails with a clear error', async () => {
+    const db = open();
+    await db.set('settings.theme', 'dark');
+
+    const wrong = reopen(db, { encryption: { secretKey: 'wrong-key' } });
+    await assert.rejects(wrong.get('settings.theme'), /Encryption key does not match this database/);
+
+    assert.strictEqual(await reopen(db).get('settings.theme'), 'dark');
+});
+
+test('a file without a key-verification record is checked against its values and stamped', async () => {
+    const db = open();
+    await db.set('settings.theme', 'dark');
+    delete db.data._meta;
+    await db.save();
+
+    const wrong = reopen(db, { encryption: { secretKey: 'wrong-key' } });
+    await assert.rejects(wrong.get('settings.theme'), /Encryption key does not match this database/);
+
+    const copy = reopen(db);
+    assert.strictEqual(await copy.get('settings.theme'), 'dark');
+    assert.ok(copy.data._meta.keyCheck);
+    assert.strictEqual((await copy.info()).encryption.keyId, copy.data._meta.keyId);
+});
+
+test('the key-verification record is not listed as a key', async () => {
+    const db = open();
+    await db.set('settings.theme', 'dark');
+
+    assert.deepStrictEqual(await db.keys(), ['settings']);
+    await db.clear();
+    assert.deepStrictEqual(await db.keys(), []);
+    assert.strictEqual(await reopen(db).get('settings.theme'), null);
+});
+
+test('key ids are random, change on rotation and stay out of errors', async () => {
+    const first = open();
+    const second = open();
+    await first.set('value', 1);
+    await second.set('value', 1);
+    const keyId = first.data._meta.keyId;
+    assert.notStrictEqual(keyId, second.data._meta.keyId);
+
+    await first.rotateEncryptionKey('next-key');
+    assert.notStrictEqual(first.data._meta.keyId, keyId);
+
+    const wrong = reopen(first);
+    await assert.rejects(wrong.get('value'), error => !error.message.includes(first.data._meta.keyId));
+});
+
+test('_meta is reserved for database metadata', async () => {
+    const db = open();
+
+    await assert.rejects(db.set('_meta.keyId', 'x'), /"_meta" is reserved/);
+    await assert.rejects(db.get('_meta'), /"_meta" is reserved/);
+    await assert.rejects(db.createTable({ name: '_meta', columns: ['a'] }), /"_meta" is reserved/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open } = require('./helper');
+
+test('writes emit events with the decrypted old and new values', async () => {
+    const db = open();
+    await db.createTable({ name: 'users', columns: ['name'] });
+    const events = [];
+    db.on('change', event => events.push(event));
+
+    await db.set('config.theme', 'dark');
+    const user = await db.insert('users', { name: 'ann' });
+    await db.update(`users.${user.id}`, { name: 'bob' });
+    await db.deleteKey('config.theme');
+
+    assert.deepStrictEqual(events.map(event => event.type), ['set', 'insert', 'update', 'delete']);
+    assert.strictEqual(events[0].newValue, 'dark');
+    assert.strictEqual(events[1].table, 'users');
+    assert.strictEqual(events[2].rowId, String(user.id));
+    assert.strictEqual(events[2].oldValue.name, 'ann');
+    assert.strictEqual(events[2].newValue.name, 'bob');
+    assert.strictEqual(events[3].oldValue, 'dark');
+});
+
+test('key watchers match wildcard patterns until unsubscribed', async () => {
+    const db = open();
+    const keys = [];
+    const stop = db.watch('settings.*', change => keys.push(change.key));
+
+    await db.set('settings.theme', 'dark');
+    await db.set('settings.editor.font', 'mono');
+    await db.set('profile.name', 'ann');
+    stop();
+    await db.set('settings.lang', 'en');
+
+    assert.deepStrictEqual(keys, ['settings.theme']);
+});
+
+test('table watchers see rows whose old or new value matches the filter', async () => {
+    const db = open();
+    await db.createTable({ name: 'orders', columns: ['status'] });
+    const types = [];
+    db.watch({ table: 'orders', where: { status: 'pending' } }, change => types.push(change.type));
+
+    const order = await db.insert('orders', { status: 'pending' });
+    await db.update(`orders.${order.id}`, { status: 'shipped' });
+    await db.insert('orders', { status: 'shipped' });
+
+    assert.deepStrictEqual(types, ['insert', 'update']);
+});
+
+test('transactions emit their events only once committed', async () => {
+    const db = open();
+    const keys = [];
+    db.on('set', event => keys.push(event.key));
+
+    await assert.rejects(db.transaction(async (tx) => {
+        await tx.set('draft.a', 1);
+        throw new Error('abort');
+    }));
+    await db.transaction(async (tx) => {
+        await tx.set('draft.b', 1);
+        assert.deepStrictEqual(keys, []);
+    });
+
+    assert.deepStrictEqual(keys, ['draft.b']);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { open, reopen } = require('./helper');
+
+test('expired keys read as missing and are purged', async () => {
+    const db = open();
+    await db.set('cooldown.daily', true, { ttl: 20 });
+    await db.set('cooldown.weekly', true, { ttl: 60000 });
+    assert.strictEqual(await db.get('cooldown.daily'), true);
+
+    await sleep(40);
+    assert.strictEqual(await db.get('cooldown.daily'), null);
+    assert.strictEqual(await db.get('cooldown.weekly'), true);
+
+    assert.strictEqual(await db.purgeExpired(), 1);
+    assert.deepStrictEqual(Object.keys(db.data.cooldown), ['weekly']);
+    assert.strictEqual(await reopen(db).get('cooldown.weekly'), true);
+});
+
+test('table rows expire with the table ttl or their own expiry', async () => {
+    const db = open();
+    await db.createTable({ name: 'sessions', columns: ['token'], ttl: 20 });
+    await db.insert('sessions', { token: 'short' });
+    await db.insert('sessions', { token: 'long' }, { expiresAt: new Date(Date.now() + 60000) });
+
+    await sleep(40);
+    assert.strictEqual(await db.count('sessions'), 1);
+    assert.strictEqual(await db.exists('sessions', { token: 'short' }), false);
+    assert.deepStrictEqual((await db.query('sessions', {})).map(row => row.token), ['long']);
+});
+
+test('update keeps the expiry and set without a ttl clears it', async () => {
+    const db = open();
+    await db.set('profile', { name: 'ann' }, { ttl: 60000 });
+    const expiresAt = db.getExpiry('profile');
+
+    await db.update('profile', { name: 'bob' });
+    assert.strictEqual(db.getExpiry('profile'), expiresAt);
+
+    await db.set('profile', { name: 'cid' });
+    assert.strictEqual(db.getExpiry('profile'), null);
+});
+
+test('push, add and increment keep the expiry', async () => {
+    const db = open();
+    await db.set('recent', ['a'], { ttl: 60000 });
+    await db.set('visits', 1, { ttl: 60000 });
+    const recentExpiry = db.getExpiry('recent');
+    const visitsExpiry = db.getExpiry('visits');
+
+    await db.push('recent', 'b');
+    await db.add('visits', 2);
+    await db.increment('visits');
+
+    assert.deepStrictEqual(await db.get('recent'), ['a', 'b']);
+    assert.strictEqual(await db.get('visits'), 4);
+    assert.strictEqual(db.getExpiry('recent'), recentExpiry);
+    assert.strictEqual(db.getExpiry('visits'), visitsExpiry);
+});
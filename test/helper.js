@@ -0,0 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+const PulseaDB = require('..');
+
+const dirs = [];
+const settings = new WeakMap();
+
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pulsea-test-'));
+    dirs.push(dir);
+    return dir;
+}
+
+function open(options = {}) {
+    const config = { file: 'db.json', encryption: { secretKey: 'test-key' }, ...options };
+    if (!config.dir) config.dir = tempDir();
+
+    const db = new PulseaDB(config);
+    settings.set(db, config);
+    return db;
+}
+
+function reopen(db, options = {}) {
+    return open({ ...settings.get(db), storage: db.storage, ...options });
+}
+
+module.exports = { open, reopen, tempDir };
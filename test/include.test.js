@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open } = require('./helper');
+
+const createSchema = async (db) => {
+    await db.createTable({ name: 'groups', columns: ['name'], primaryKey: 'autoIncrement' });
+    await db.createTable({
+        name: 'users',
+        columns: ['name', 'groupId'],
+        primaryKey: 'autoIncrement',
+        relations: { groupId: { table: 'groups', column: 'id' } }
+    });
+    await db.createTable({
+        name: 'posts',
+        columns: ['title', 'published', 'userId'],
+        relations: { userId: { table: 'users', column: 'id' } }
+    });
+    await db.createTable({ name: 'roles', columns: ['name'], primaryKey: 'autoIncrement' });
+    await db.createTable({
+        name: 'userRoles',
+        columns: ['userId', 'roleId'],
+        relations: { userId: { table: 'users', column: 'id' }, roleId: { table: 'roles', column: 'id' } }
+    });
+
+    const group = await db.insert('groups', { name: 'staff' });
+    const ann = await db.insert('users', { name: 'ann', groupId: group.id });
+    await db.insert('users', { name: 'bob', groupId: group.id });
+    await db.insert('posts', { title: 'draft', published: false, userId: ann.id });
+    await db.insert('posts', { title: 'hello', published: true, userId: ann.id });
+    const admin = await db.insert('roles', { name: 'admin' });
+    await db.insert('userRoles', { userId: ann.id, roleId: admin.id });
+    return ann;
+};
+
+test('belongsTo includes attach the referenced row without the Id suffix', async () => {
+    const db = open();
+    await createSchema(db);
+
+    const users = await db.query('users', { include: ['groupId'], orderBy: 'name ASC' });
+    assert.deepStrictEqual(users.map(user => [user.name, user.group.name]), [['ann', 'staff'], ['bob', 'staff']]);
+});
+
+test('one-to-many and many-to-many includes load arrays with their own filters', async () => {
+    const db = open();
+    const ann = await createSchema(db);
+
+    const user = await db.findById('users', ann.id, {
+        include: {
+            groupId: { as: 'team', select: ['name'] },
+            posts: { select: ['title'], where: { published: true } },
+            roles: { through: 'userRoles' }
+        }
+    });
+    assert.deepStrictEqual(user.team, { name: 'staff' });
+    assert.deepStrictEqual(user.posts, [{ title: 'hello' }]);
+    assert.deepStrictEqual(user.roles.map(role => role.name), ['admin']);
+});
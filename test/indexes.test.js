@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open } = require('./helper');
+
+const createScores = async (db) => {
+    await db.createTable({ name: 'scores', columns: ['player', 'points'], indexes: ['player', 'points'] });
+    for (const [player, points] of [['ann', 10], ['bob', 25], ['cid', 40], ['ann', 55]]) {
+        await db.insert('scores', { player, points });
+    }
+};
+
+const players = rows => rows.map(row => `${row.player}:${row.points}`).sort();
+
+test('indexed equality and range lookups match the rows a scan finds', async () => {
+    const db = open();
+    await createScores(db);
+
+    assert.deepStrictEqual(players(await db.query('scores', { where: { player: 'ann' } })), ['ann:10', 'ann:55']);
+    assert.deepStrictEqual(players(await db.query('scores', { where: { points: { $gte: 25, $lt: 55 } } })), ['bob:25', 'cid:40']);
+    assert.deepStrictEqual(players(await db.in('scores', 'player', ['bob', 'cid'])), ['bob:25', 'cid:40']);
+    assert.strictEqual(await db.count('scores', { player: 'ann', points: { $gt: 20 } }), 1);
+});
+
+test('index lookups follow updates and deletes', async () => {
+    const db = open();
+    await createScores(db);
+    const bob = await db.findOne('scores', { player: 'bob' });
+
+    await db.update(`scores.${bob.id}`, { points: 99 });
+    assert.deepStrictEqual(players(await db.query('scores', { where: { points: 25 } })), []);
+    assert.deepStrictEqual(players(await db.query('scores', { where: { points: { $gt: 90 } } })), ['bob:99']);
+
+    await db.delete('scores', { player: 'bob' });
+    assert.strictEqual(await db.exists('scores', { player: 'bob' }), false);
+});
+
+test('values written as numeric strings are found by indexed lookups', async () => {
+    const db = open();
+    await db.createTable({ name: 'posts', columns: ['userId'], indexes: ['userId'] });
+    await db.insert('posts', { userId: 7 });
+
+    assert.strictEqual(await db.exists('posts', { userId: 7 }), true);
+    await db.insert('posts', { userId: '7' });
+    assert.strictEqual((await db.query('posts', { where: { userId: 7 } })).length, 2);
+});
+
+test('delete without a where clause removes every row and keeps the table', async () => {
+    const db = open();
+    await createScores(db);
+
+    assert.deepStrictEqual(await db.delete('scores'), { deletedCount: 4 });
+    assert.strictEqual(await db.count('scores'), 0);
+    assert.strictEqual(await db.tableExists('scores'), true);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { open } = require('./helper');
+
+const createItems = async (db, count) => {
+    await db.createTable({ name: 'items', columns: ['n'], primaryKey: 'autoIncrement' });
+    for (let n = 1; n <= count; n++) await db.insert('items', { n });
+};
+
+test('iterate yields matching rows across batches', async () => {
+    const db = open();
+    await createItems(db, 7);
+
+    const seen = [];
+    for await (const item of db.iterate('items', { where: { n: { $gt: 2 } }, batchSize: 2 })) {
+        seen.push(item.n);
+    }
+    assert.deepStrictEqual(seen, [3, 4, 5, 6, 7]);
+});
+
+test('rows deleted before their batch are skipped and later inserts are not visited', async () => {
+    const db = open();
+    await createItems(db, 4);
+
+    const seen = [];
+    for await (const item of db.iterate('items', { batchSize: 2 })) {
+        seen.push(item.id);
+        if (item.id === 1) {
+            await db.delete('items', { n: 3 });
+            await db.insert('items', { n: 5 });
+        }
+    }
+    assert.deepStrictEqual(seen, [1, 2, 4]);
+});
+
+test('breaking out stops before the remaining batches are decrypted', async () => {
+    const db = open();
+    await createItems(db, 6);
+
+    let decrypted = 0;
+    const decrypt = db.encryption.decrypt.bind(db.encryption);
+    db.encryption.decrypt = value => (decrypted++, decrypt(value));
+
+    for await (const item of db.iterate('items', { batchSize: 2 })) {
+        if (item.id === 2) break;
+    }
+    assert.strictEqual(decrypted, 2);
+});
+
+test('createReadStream feeds rows into a pipeline', async () => {
+    const db = open();
+    await createItems(db, 3);
+
+    const seen = [];
+    await pipeline(
+        db.createReadStream('items', { batchSize: 2 }),
+        new Writable({ objectMode: true, write: (row, _, done) => done(null, seen.push(row.n)) })
+    );
+    assert.deepStrictEqual(seen, [1, 2, 3]);
+});
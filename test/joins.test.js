@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open } = require('./helper');
+
+const createShop = async (db) => {
+    await db.createTable({ name: 'users', columns: ['name'], primaryKey: 'autoIncrement' });
+    await db.createTable({ name: 'orders', columns: ['userId', 'amount'], primaryKey: 'autoIncrement' });
+    await db.insert('users', { name: 'ann' });
+    await db.insert('users', { name: 'bob' });
+    await db.insert('orders', { userId: 1, amount: 10 });
+    await db.insert('orders', { userId: 3, amount: 20 });
+};
+
+const pairs = rows => rows.map(row => [row.amount ?? null, row.users_name ?? null]).sort();
+
+test('join types keep unmatched rows on the requested side', async () => {
+    const db = open();
+    await createShop(db);
+    const on = { from: 'userId', to: 'id' };
+
+    assert.deepStrictEqual(pairs(await db.join('orders', 'users', { on })), [[10, 'ann']]);
+    assert.deepStrictEqual(pairs(await db.join('orders', 'users', { on, type: 'LEFT' })), [[10, 'ann'], [20, null]]);
+    assert.deepStrictEqual(pairs(await db.join('orders', 'users', { on, type: 'RIGHT' })), [[null, 'bob'], [10, 'ann']]);
+    assert.deepStrictEqual(pairs(await db.join('orders', 'users', { on, type: 'OUTER' })), [[null, 'bob'], [10, 'ann'], [20, null]]);
+});
+
+test('chained joins resolve aliases and composite keys', async () => {
+    const db = open();
+    await db.createTable({ name: 'employees', columns: ['name', 'managerId', 'officeId', 'country'], primaryKey: 'autoIncrement' });
+    await db.createTable({ name: 'offices', columns: ['country', 'city', 'open'], primaryKey: 'autoIncrement' });
+    await db.insert('offices', { country: 'DE', city: 'Berlin', open: true });
+    await db.insert('offices', { country: 'TR', city: 'Izmir', open: false });
+    await db.insert('employees', { name: 'boss', managerId: null, officeId: 1, country: 'DE' });
+    await db.insert('employees', { name: 'ann', managerId: 1, officeId: null, country: 'DE' });
+    await db.insert('employees', { name: 'bob', managerId: 1, officeId: null, country: 'TR' });
+
+    const rows = await db.join({ table: 'employees', as: 'e' }, [
+        { table: 'employees', as: 'manager', type: 'LEFT', on: { from: 'managerId', to: 'id' } },
+        { table: 'offices', as: 'o', on: { from: ['manager.officeId', 'e.country'], to: ['id', 'country'] }, where: { open: true } }
+    ], { where: { o_city: 'Berlin' }, orderBy: 'name asc' });
+
+    assert.deepStrictEqual(rows.map(row => [row.name, row.manager_name, row.o_city]), [['ann', 'boss', 'Berlin']]);
+});
+
+test('SQL statements join more than two tables', async () => {
+    const db = open();
+    await createShop(db);
+    await db.createTable({ name: 'payments', columns: ['orderId', 'paid'], primaryKey: 'autoIncrement' });
+    await db.insert('payments', { orderId: 1, paid: true });
+
+    const rows = await db.sql(`SELECT u.name, o.amount, p.paid FROM users u
+        JOIN orders o ON o.userId = u.id
+        LEFT JOIN payments p ON p.orderId = o.id
+        ORDER BY o.amount`);
+    assert.deepStrictEqual(rows, [{ name: 'ann', amount: 10, paid: true }]);
+});
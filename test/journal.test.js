@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { open, reopen } = require('./helper');
+
+const journalPath = db => path.join(db.dir, db.journal.name);
+
+const openJournaled = async (options = {}) => {
+    const db = open({ journal: true, ...options });
+    await db.set('config.theme', 'dark');
+    await db.compact();
+    return db;
+};
+
+test('saves append to the journal instead of rewriting the main file', async () => {
+    const db = await openJournaled();
+    const main = fs.readFileSync(db.filePath, 'utf8');
+
+    await db.set('config.lang', 'en');
+    await db.deleteKey('config.theme');
+
+    assert.strictEqual(fs.readFileSync(db.filePath, 'utf8'), main);
+    assert.strictEqual(fs.readFileSync(journalPath(db), 'utf8').trim().split('\n').length, 2);
+
+    const copy = reopen(db);
+    assert.strictEqual(await copy.get('config.lang'), 'en');
+    assert.strictEqual(await copy.get('config.theme'), null);
+});
+
+test('a partially written last journal entry is discarded on load', async () => {
+    const db = await openJournaled();
+    await db.set('config.lang', 'en');
+    fs.appendFileSync(journalPath(db), '{"op":"put","path":["config","lang"]');
+
+    const copy = reopen(db);
+    assert.strictEqual(await copy.get('config.lang'), 'en');
+    assert.ok(fs.readFileSync(journalPath(db), 'utf8').endsWith('\n'));
+});
+
+test('compaction folds the journal into the main file', async () => {
+    const db = await openJournaled({ journal: { compactThreshold: 2 } });
+
+    await db.set('config.lang', 'en');
+    assert.notStrictEqual(fs.readFileSync(journalPath(db), 'utf8'), '');
+    await db.set('config.size', 12);
+
+    assert.strictEqual(fs.readFileSync(journalPath(db), 'utf8'), '');
+    const copy = reopen(db, { journal: false });
+    assert.strictEqual(await copy.get('config.size'), 12);
+});
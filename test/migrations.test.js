@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open, reopen } = require('./helper');
+
+const migrations = [
+    {
+        version: 1,
+        name: 'create_users',
+        up: (tx) => tx.createTable({ name: 'users', columns: ['name'] }),
+        down: (tx) => tx.dropTable('users')
+    },
+    {
+        version: 2,
+        name: 'seed_settings',
+        up: (tx) => tx.set('settings.locale', 'en'),
+        down: (tx) => tx.deleteKey('settings.locale')
+    }
+];
+
+test('migrate applies pending migrations in order and records them', async () => {
+    const db = open({ migrations });
+
+    await db.migrate();
+    assert.strictEqual(await db.tableExists('users'), true);
+    assert.strictEqual(await db.get('settings.locale'), 'en');
+
+    const status = await reopen(db, { migrations }).migrationStatus();
+    assert.strictEqual(status.current, 2);
+    assert.deepStrictEqual(status.applied.map(migration => migration.name), ['create_users', 'seed_settings']);
+    assert.deepStrictEqual(status.pending, []);
+});
+
+test('migrate to a lower version runs the down steps', async () => {
+    const db = open({ migrations });
+    await db.migrate();
+
+    await db.migrate({ to: 0 });
+    assert.strictEqual(await db.tableExists('users'), false);
+    assert.strictEqual(await db.get('settings.locale'), null);
+    assert.deepStrictEqual((await db.migrationStatus()).pending, [1, 2]);
+});
+
+test('a failing migration is rolled back and stops the run', async () => {
+    const db = open({ migrations });
+    db.registerMigration({
+        version: 3,
+        name: 'broken',
+        up: async (tx) => {
+            await tx.set('settings.partial', true);
+            throw new Error('boom');
+        }
+    });
+    db.registerMigration({ version: 4, name: 'after', up: (tx) => tx.set('settings.after', true) });
+
+    await assert.rejects(db.migrate(), /boom/);
+    assert.strictEqual(await db.get('settings.partial'), null);
+    assert.strictEqual(await db.get('settings.after'), null);
+    assert.strictEqual((await db.migrationStatus()).current, 2);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open } = require('./helper');
+
+const createMessages = async (db) => {
+    await db.createTable({ name: 'messages', columns: ['channel', 'createdAt'], primaryKey: 'autoIncrement', indexes: ['createdAt'] });
+    for (const [channel, createdAt] of [['ops', 10], ['ops', 20], ['dev', 20], ['ops', 20], ['ops', 30], ['ops', 40]]) {
+        await db.insert('messages', { channel, createdAt });
+    }
+};
+
+const ids = page => page.rows.map(row => row.id);
+
+test('pages move forward and back without skipping rows with equal sort values', async () => {
+    const db = open();
+    await createMessages(db);
+    const options = { where: { channel: 'ops' }, orderBy: 'createdAt desc', limit: 2 };
+
+    const first = await db.paginate('messages', options);
+    assert.deepStrictEqual(ids(first), [6, 5]);
+    assert.strictEqual(first.hasMore, true);
+    assert.strictEqual(first.prevCursor, null);
+
+    const second = await db.paginate('messages', { ...options, after: first.nextCursor });
+    assert.deepStrictEqual(ids(second), [4, 2]);
+
+    const last = await db.paginate('messages', { ...options, after: second.nextCursor });
+    assert.deepStrictEqual(ids(last), [1]);
+    assert.strictEqual(last.hasMore, false);
+    assert.strictEqual(last.nextCursor, null);
+
+    const back = await db.paginate('messages', { ...options, before: second.prevCursor });
+    assert.deepStrictEqual(ids(back), [6, 5]);
+});
+
+test('rows inserted before the cursor do not shift the next page', async () => {
+    const db = open();
+    await createMessages(db);
+
+    const first = await db.paginate('messages', { limit: 3 });
+    await db.insert('messages', { channel: 'ops', createdAt: 5 });
+    const second = await db.paginate('messages', { limit: 3, after: first.nextCursor });
+    assert.deepStrictEqual(ids(second), [4, 5, 6]);
+});
+
+test('edited cursors and cursors from another query are rejected', async () => {
+    const db = open();
+    await createMessages(db);
+
+    const { nextCursor } = await db.paginate('messages', { orderBy: 'createdAt desc', limit: 2 });
+    const edited = nextCursor.slice(0, -2) + (nextCursor.endsWith('AA') ? 'BB' : 'AA');
+    await assert.rejects(db.paginate('messages', { orderBy: 'createdAt desc', limit: 2, after: edited }), /cursor/i);
+    await assert.rejects(db.paginate('messages', { orderBy: 'createdAt asc', limit: 2, after: nextCursor }), /cursor/i);
+});
+
+test('cursors do not reveal the sort value or row they point at', async () => {
+    const db = open();
+    await db.createTable({ name: 'users', columns: ['email'], indexes: ['email'] });
+    await db.insert('users', { email: 'ann@example.com' });
+    await db.insert('users', { email: 'bob@example.com' });
+
+    const { nextCursor } = await db.paginate('users', { orderBy: 'email asc', limit: 1 });
+    assert.ok(!Buffer.from(nextCursor, 'base64url').toString().includes('ann@example.com'));
+    assert.ok(!nextCursor.includes('ann'));
+
+    const next = await db.paginate('users', { orderBy: 'email asc', limit: 1, after: nextCursor });
+    assert.deepStrictEqual(next.rows.map(row => row.email), ['bob@example.com']);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open, reopen } = require('./helper');
+
+test('autoIncrement ids count up and survive reopening', async () => {
+    const db = open();
+    await db.createTable({ name: 'users', columns: ['name'], primaryKey: 'autoIncrement' });
+
+    assert.strictEqual((await db.insert('users', { name: 'ann' })).id, 1);
+    assert.strictEqual((await db.insert('users', { name: 'bob' })).id, 2);
+    assert.strictEqual((await reopen(db).insert('users', { name: 'cid' })).id, 3);
+});
+
+test('uuid and ulid strategies generate ids in their format', async () => {
+    const db = open();
+    await db.createTable({ name: 'sessions', columns: ['token'], primaryKey: 'uuid' });
+    await db.createTable({ name: 'events', columns: ['type'], primaryKey: 'ulid' });
+
+    const session = await db.insert('sessions', { token: 'a' });
+    assert.match(session.id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+
+    const first = await db.insert('events', { type: 'a' });
+    const second = await db.insert('events', { type: 'b' });
+    assert.match(first.id, /^[0-9A-HJKMNP-TV-Z]{26}$/);
+    assert.ok(first.id < second.id);
+});
+
+test('natural keys are unique, unchangeable and upsert by primary key', async () => {
+    const db = open();
+    await db.createTable({ name: 'countries', columns: ['code', 'name'], primaryKey: { column: 'code' } });
+
+    await db.insert('countries', { code: 'TR', name: 'Turkey' });
+    await assert.rejects(db.insert('countries', { code: 'TR', name: 'again' }), /Duplicate primary key/);
+    await assert.rejects(db.insert('countries', { code: 'a.b', name: 'dotted' }), /cannot contain '\.'/);
+    await assert.rejects(db.update('countries.TR', { code: 'DE' }), /cannot be changed/);
+
+    await db.upsert('countries', { code: 'TR', name: 'Türkiye' });
+    assert.strictEqual((await db.findById('countries', 'TR')).name, 'Türkiye');
+    assert.strictEqual(await db.count('countries'), 1);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open } = require('./helper');
+
+const createUsers = async (db) => {
+    await db.createTable({ name: 'users', columns: ['name', 'age', 'role', 'country'] });
+    for (const [name, age, role, country] of [
+        ['ann', 34, 'admin', 'TR'],
+        ['bob', 17, 'user', 'TR'],
+        ['cid', 52, 'user', 'DE'],
+        ['dan', 25, 'user', 'US'],
+        ['eve', 41, 'admin', 'US']
+    ]) {
+        await db.insert('users', { name, age, role, country });
+    }
+};
+
+const names = rows => rows.map(row => row.name);
+
+test('chained conditions group where calls tighter than orWhere', async () => {
+    const db = open();
+    await createUsers(db);
+
+    const rows = await db.table('users')
+        .where('age', '>', 18)
+        .where(q => q.where('role', 'admin').orWhere('country', 'DE'))
+        .whereIn('country', ['TR', 'DE'])
+        .orderBy('name')
+        .select('name')
+        .get();
+    assert.deepStrictEqual(rows, [{ name: 'ann' }, { name: 'cid' }]);
+
+    const either = await db.table('users').where('role', 'admin').where('country', 'US').orWhere('age', '<', 18).orderBy('name').get();
+    assert.deepStrictEqual(names(either), ['bob', 'eve']);
+});
+
+test('terminal methods leave the builder reusable', async () => {
+    const db = open();
+    await createUsers(db);
+
+    const adults = db.table('users').where('age', '>=', 18);
+    assert.strictEqual(await adults.count(), 4);
+    assert.strictEqual(await adults.sum('age'), 152);
+    assert.strictEqual((await adults.clone().orderBy('age', 'desc').first()).name, 'cid');
+    assert.strictEqual(await adults.max('age'), 52);
+
+    const page = await adults.clone().orderBy('name').paginate(2, 3);
+    assert.deepStrictEqual(names(page.rows), ['eve']);
+    assert.deepStrictEqual([page.total, page.page, page.perPage, page.totalPages], [4, 2, 3, 2]);
+});
+
+test('update and delete honour orderBy and limit', async () => {
+    const db = open();
+    await createUsers(db);
+
+    await db.table('users').where('role', 'user').orderBy('age', 'desc').limit(1).update({ role: 'senior' });
+    assert.deepStrictEqual(names(await db.table('users').where('role', 'senior').get()), ['cid']);
+
+    await db.table('users').whereBetween('age', [20, 40]).delete();
+    assert.deepStrictEqual(names(await db.table('users').orderBy('name').get()), ['bob', 'cid', 'eve']);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open } = require('./helper');
+
+const createTables = async (db, onDelete, onUpdate = 'noAction') => {
+    await db.createTable({ name: 'users', columns: ['handle', 'name'], primaryKey: 'uuid' });
+    await db.createTable({
+        name: 'posts',
+        columns: ['userId', 'editor', 'title'],
+        validations: { userId: { nullable: true }, editor: { type: 'string', nullable: true } },
+        relations: {
+            userId: { table: 'users', column: 'id', onDelete },
+            editor: { table: 'users', column: 'handle', onDelete, onUpdate }
+        }
+    });
+    const user = await db.insert('users', { handle: 'ann', name: 'Ann' });
+    await db.insert('posts', { userId: user.id, editor: 'ann', title: 'hello' });
+    return user;
+};
+
+test('cascade deletes referencing rows', async () => {
+    const db = open();
+    await createTables(db, 'cascade');
+
+    await db.delete('users', { handle: 'ann' });
+    assert.strictEqual(await db.count('posts'), 0);
+});
+
+test('setNull clears the referencing columns', async () => {
+    const db = open();
+    await createTables(db, 'setNull');
+
+    await db.delete('users', { handle: 'ann' });
+    const [post] = await db.query('posts', {});
+    assert.strictEqual(post.userId, null);
+    assert.strictEqual(post.editor, null);
+});
+
+test('restrict rejects the delete and leaves every row in place', async () => {
+    const db = open();
+    await createTables(db, 'restrict');
+
+    await assert.rejects(db.delete('users', { handle: 'ann' }), /still references it/);
+    assert.strictEqual(await db.count('users'), 1);
+    assert.strictEqual(await db.count('posts'), 1);
+});
+
+test('onUpdate cascade copies a changed referenced value', async () => {
+    const db = open();
+    const user = await createTables(db, 'noAction', 'cascade');
+
+    await db.update(`users.${user.id}`, { handle: 'annie' });
+    const [post] = await db.query('posts', {});
+    assert.strictEqual(post.editor, 'annie');
+});
+
+test('dropTable refuses a referenced table unless forced', async () => {
+    const db = open();
+    await createTables(db, 'cascade');
+
+    await assert.rejects(db.dropTable('users'), /referenced/);
+    await db.dropTable('users', { force: true });
+    assert.strictEqual(await db.count('posts'), 0);
+    assert.deepStrictEqual(Object.keys((await db.describe('posts')).relations || {}), []);
+});
+
+const createNumericKeyTables = async (db, onDelete) => {
+    await db.createTable({ name: 'users', columns: ['code', 'name'], primaryKey: { column: 'code' } });
+    await db.createTable({
+        name: 'posts',
+        columns: ['title', 'userId'],
+        validations: { userId: { nullable: true } },
+        relations: { userId: { table: 'users', column: 'id', onDelete } }
+    });
+    await db.insert('users', { code: '7', name: 'ann' });
+    await db.insert('posts', { title: 'hello', userId: '7' });
+};
+
+test('cascade deletes children of a parent whose key looks like a number', async () => {
+    const db = open();
+    await createNumericKeyTables(db, 'cascade');
+
+    await db.delete('users', { name: 'ann' });
+    assert.strictEqual(await db.count('posts'), 0);
+});
+
+test('setNull clears children of a parent whose key looks like a number', async () => {
+    const db = open();
+    await createNumericKeyTables(db, 'setNull');
+
+    await db.delete('users', { name: 'ann' });
+    const [post] = await db.query('posts', {});
+    assert.strictEqual(post.userId, null);
+});
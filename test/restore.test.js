@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { open } = require('./helper');
+
+const takeBackups = async (db) => {
+    await db.set('settings.theme', 'dark');
+    await db.createTable({ name: 'users', columns: ['name'], primaryKey: 'autoIncrement' });
+    await db.insert('users', { name: 'ann' });
+    const first = await db.backup();
+    await sleep(5);
+    const between = new Date();
+    await sleep(5);
+
+    await db.set('settings.theme', 'light');
+    await db.set('featureFlag', true);
+    await db.insert('users', { name: 'bob' });
+    await db.createTable({ name: 'audit', columns: ['event'] });
+    const second = await db.backup();
+    await sleep(5);
+    return { first, second, between };
+};
+
+test('listBackups reads backup headers newest first', async () => {
+    const db = open();
+    const { first, second } = await takeBackups(db);
+
+    const backups = await db.listBackups();
+    assert.deepStrictEqual(backups.map(backup => backup.path), [second, first]);
+    assert.strictEqual(backups[0].encrypted, true);
+    assert.strictEqual(backups[0].readable, true);
+});
+
+test('replace restore at a time makes the data match the backup taken before it', async () => {
+    const db = open();
+    const { between } = await takeBackups(db);
+
+    const result = await db.restore({ at: between });
+    assert.strictEqual(result.mode, 'replace');
+    assert.ok(result.safetyBackup);
+    assert.strictEqual(await db.get('settings.theme'), 'dark');
+    assert.strictEqual(await db.get('featureFlag'), null);
+    assert.strictEqual(await db.tableExists('audit'), false);
+    assert.deepStrictEqual((await db.query('users', {})).map(user => user.name), ['ann']);
+});
+
+test('merge restore copies the backup over the live data and keeps the rest', async () => {
+    const db = open();
+    const { first } = await takeBackups(db);
+
+    await db.restore({ at: first, mode: 'merge' });
+    assert.strictEqual(await db.get('settings.theme'), 'dark');
+    assert.strictEqual(await db.get('featureFlag'), true);
+    assert.strictEqual(await db.count('users'), 2);
+});
+
+test('diffBackup previews a restore without changing anything', async () => {
+    const db = open();
+    const { first } = await takeBackups(db);
+
+    const diff = await db.diffBackup(first);
+    assert.deepStrictEqual(diff.tables.removed, ['audit']);
+    assert.deepStrictEqual(diff.tables.changed.users.rows.removed, ['2']);
+    assert.deepStrictEqual(diff.keys.removed, ['featureFlag']);
+    assert.deepStrictEqual(diff.keys.changed, ['settings']);
+    assert.deepStrictEqual((await db.diffBackup(first, { mode: 'merge' })).keys.removed, []);
+    assert.strictEqual(await db.get('featureFlag'), true);
+});
+
+test('a backup taken under another key restores with sourceKey', async () => {
+    const db = open();
+    const { first } = await takeBackups(db);
+    await db.rotateEncryptionKey('next-key');
+
+    await assert.rejects(db.restore({ at: first }), /Failed to restore from backup/);
+    await db.restore({ at: first, secretKey: 'test-key', sourceKey: 'test-key' });
+    assert.strictEqual(await db.get('settings.theme'), 'dark');
+});
+
+test('merge restore raises the autoIncrement counter past restored rows', async () => {
+    const db = open();
+    await db.createTable({ name: 'items', columns: ['name'], primaryKey: 'autoIncrement' });
+    await db.insert('items', { name: 'a' });
+    const first = await db.backup();
+    await sleep(5);
+    await db.insert('items', { name: 'b' });
+    await db.insert('items', { name: 'c' });
+    const second = await db.backup();
+    await sleep(5);
+
+    await db.restore({ at: first, mode: 'replace' });
+    await db.restore({ at: second, mode: 'merge' });
+    const inserted = await db.insert('items', { name: 'd' });
+
+    assert.strictEqual(inserted.id, 4);
+    const names = (await db.query('items', {})).map(row => row.name).sort();
+    assert.deepStrictEqual(names, ['a', 'b', 'c', 'd']);
+});
+
+test('replace restore does not prune the backup it restores from', async () => {
+    const db = open({ maxBackups: 2 });
+    await db.set('value', 'oldest');
+    const oldest = await db.backup();
+    await sleep(5);
+    await db.set('value', 'newer');
+    await db.backup();
+    await sleep(5);
+
+    const { safetyBackup } = await db.restore({ at: oldest });
+    const paths = (await db.listBackups()).map(backup => backup.path);
+
+    assert.ok(paths.includes(oldest));
+    assert.ok(paths.includes(safetyBackup));
+    assert.strictEqual(await db.get('value'), 'oldest');
+});
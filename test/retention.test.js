@@ -0,0 +1,62 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const BackupRetention = require('../src/helpers/BackupRetention');
+const { open } = require('./helper');
+
+const backupsAt = (...dates) => dates.map((createdAt, i) => ({ id: `b${i}`, createdAt, size: 10 }));
+
+const keptIds = (backups, policy, now) =>
+    [...BackupRetention.select(backups, BackupRetention.normalize(policy), now).keys()];
+
+test('tiers keep the newest backup of each of the last N periods', () => {
+    const backups = backupsAt(
+        '2024-03-10T12:30:00Z', '2024-03-10T12:10:00Z', '2024-03-10T09:00:00Z',
+        '2024-03-09T18:00:00Z', '2024-03-02T08:00:00Z', '2024-02-20T08:00:00Z'
+    );
+
+    assert.deepStrictEqual(keptIds(backups, { hourly: 2 }), ['b0', 'b2']);
+    assert.deepStrictEqual(keptIds(backups, { daily: 3 }), ['b0', 'b3', 'b4']);
+    assert.deepStrictEqual(keptIds(backups, { weekly: 2 }), ['b0', 'b4']);
+    assert.deepStrictEqual(keptIds(backups, { monthly: 2, keepLast: 2 }), ['b0', 'b1', 'b5']);
+});
+
+test('maxTotalSize drops the oldest kept backups but never the newest or minAge ones', () => {
+    const now = Date.parse('2024-03-10T13:00:00Z');
+    const backups = backupsAt('2024-03-10T12:30:00Z', '2024-03-10T11:30:00Z', '2024-03-10T10:30:00Z', '2024-03-10T09:30:00Z');
+
+    assert.deepStrictEqual(keptIds(backups, { keepLast: 4, maxTotalSize: 25 }, now), ['b0', 'b1']);
+    assert.deepStrictEqual(keptIds(backups, { keepLast: 4, maxTotalSize: 5, minAge: 2 * 3600000 }, now), ['b0', 'b1']);
+    assert.throws(() => BackupRetention.normalize({ yearly: 1 }), /Unknown backup retention option: yearly/);
+});
+
+test('pruneBackups reports a dry run and then deletes what the policy drops', async () => {
+    const db = open({ maxBackups: 10 });
+    await db.set('value', 1);
+    const paths = [];
+    for (let i = 0; i < 3; i++) {
+        paths.push(await db.backup());
+        await sleep(5);
+    }
+
+    const preview = await db.pruneBackups({ dryRun: true, policy: { keepLast: 2 } });
+    assert.deepStrictEqual(preview.pruned.map(backup => backup.path), [paths[0]]);
+    assert.deepStrictEqual(preview.kept[0].reasons, ['latest', 'keepLast']);
+    assert.ok(fs.existsSync(paths[0]));
+
+    const result = await db.pruneBackups({ policy: { keepLast: 2 } });
+    assert.strictEqual(result.freedBytes, preview.freedBytes);
+    assert.strictEqual(fs.existsSync(paths[0]), false);
+});
+
+test('backupAfterWrites takes a backup after every N writes', async () => {
+    const db = open({ backupAfterWrites: 3 });
+    await db.set('a', 1);
+    await db.set('b', 2);
+    assert.strictEqual((await db.listBackups()).length, 0);
+
+    await db.set('c', 3);
+    await sleep(20);
+    assert.strictEqual((await db.listBackups()).length, 1);
+});
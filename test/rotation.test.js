@@ -0,0 +1,34 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert');
+const { open, reopen } = require('./helper');
+
+const seed = async (db) => {
+    await db.set('settings.ui', { theme: 'dark', sizes: [1, 2] });
+    await db.createTable({ name: 'users', columns: ['name', 'age'] });
+    await db.insert('users', { name: 'ann', age: 30 });
+};
+
+test('rotation re-encrypts keys and rows under the new key', async () => {
+    const db = open();
+    await seed(db);
+
+    const { backupPath } = await db.rotateEncryptionKey('next-key');
+    assert.ok(fs.existsSync(backupPath));
+
+    const copy = reopen(db, { encryption: { secretKey: 'next-key' } });
+    assert.deepStrictEqual(await copy.get('settings.ui'), { theme: 'dark', sizes: [1, 2] });
+    const [user] = await copy.query('users', { where: { name: 'ann' } });
+    assert.strictEqual(user.age, 30);
+});
+
+test('rotation aborts without changes when a value cannot be decrypted', async () => {
+    const db = open();
+    await seed(db);
+    db.data.settings.broken = 'not-a-sealed-value';
+    const before = JSON.stringify(db.data);
+
+    await assert.rejects(db.rotateEncryptionKey('next-key'), /Failed to rotate encryption key/);
+    assert.strictEqual(JSON.stringify(db.data), before);
+    assert.deepStrictEqual(await db.get('settings.ui'), { theme: 'dark', sizes: [1, 2] });
+});
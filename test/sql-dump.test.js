@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SQLParser = require('../src/helpers/SQLParser');
+const { open, reopen } = require('./helper');
+
+test('tables, rows and keys survive reopening a SQL database', async () => {
+    const db = open({ file: 'db.sql' });
+    await db.createTable({ name: 'users', columns: ['name', 'age'], indexes: ['name'] });
+    await db.insert('users', { name: "O'Brien", age: 42 });
+    await db.set('settings', { theme: 'dark' });
+
+    const reopened = reopen(db);
+    const [user] = await reopened.query('users', {});
+    assert.strictEqual(user.name, "O'Brien");
+    assert.strictEqual(user.age, 42);
+    assert.deepStrictEqual(await reopened.get('settings'), { theme: 'dark' });
+    assert.deepStrictEqual(reopened.data.users._meta.indexes, ['name']);
+});
+
+test('the parser rebuilds tables from a dump without metadata comments', () => {
+    const data = new SQLParser(`CREATE TABLE IF NOT EXISTS users (
+  id VARCHAR(255) PRIMARY KEY,
+  name TEXT,
+  age NUMERIC
+);
+CREATE INDEX IF NOT EXISTS idx_users_name ON users(name);
+INSERT INTO users (id, name, age) VALUES ('1', 'O''Brien', 42);
+`).parse();
+
+    assert.deepStrictEqual(data.users._meta.columns, ['name', 'age']);
+    assert.deepStrictEqual(data.users._meta.indexes, ['name']);
+    assert.deepStrictEqual(data.users['1'], { name: "O'Brien", age: 42 });
+});
+
+test('the parser rejects an unterminated string', () => {
+    assert.throws(() => new SQLParser("INSERT INTO users (id, name) VALUES ('1', 'oops);").parse(), /Unterminated string literal/);
+});
+
+test('a dump takes unique constraints from the data it writes', async () => {
+    const db = open({ file: 'db.sql' });
+    await db.createTable({ name: 'codes', columns: ['code'], unique: [['code']] });
+    const snapshot = JSON.parse(JSON.stringify(db.data));
+    await db.dropTable('codes');
+
+    const sql = await db.generateSQLContent(snapshot);
+    assert.match(sql, /CREATE UNIQUE INDEX IF NOT EXISTS uq_codes_code ON codes\(code\);/);
+});
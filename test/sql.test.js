@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open } = require('./helper');
+
+const createSchema = async (db) => {
+    await db.sql(`CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(40) NOT NULL,
+        age INTEGER NOT NULL
+    )`);
+    await db.sql(`CREATE TABLE posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    await db.sql('INSERT INTO users (name, age) VALUES (?, ?), (?, ?)', ['ann', 30, 'bob', 17]);
+    await db.sql('INSERT INTO posts (title, user_id) VALUES (?, ?), (?, ?), (?, ?)', ['Hello', 1, 'Hello again', 1, 'Hi', 2]);
+};
+
+test('CREATE TABLE maps column types, keys and relations onto the table schema', async () => {
+    const db = open();
+    await createSchema(db);
+
+    const posts = await db.describe('posts');
+    assert.deepStrictEqual(posts.primaryKey, { strategy: 'autoIncrement' });
+    assert.strictEqual(posts.columns.find(column => column.name === 'user_id').type, 'integer');
+    assert.deepStrictEqual(posts.relations.user_id, { table: 'users', column: 'id', onDelete: 'cascade' });
+    await assert.rejects(db.sql("INSERT INTO users (name, age) VALUES ('cid', 'old')"), /expected integer/);
+});
+
+test('CREATE TABLE accepts the common SQL type aliases', async () => {
+    const db = open();
+    await db.sql('CREATE TABLE events (name STRING, attendees BIGINT, price DECIMAL, open BOOL, startsAt DATETIME)');
+
+    const types = Object.fromEntries((await db.describe('events')).columns.map(column => [column.name, column.type]));
+    assert.deepStrictEqual(types, { name: 'string', attendees: 'integer', price: 'number', open: 'boolean', startsAt: 'date' });
+});
+
+test('SELECT supports parameters, joins, grouping and ordering', async () => {
+    const db = open();
+    await createSchema(db);
+
+    assert.deepStrictEqual(await db.sql('SELECT name FROM users WHERE age > ? ORDER BY age DESC', [18]), [{ name: 'ann' }]);
+
+    const joined = await db.sql(`SELECT u.name, p.title FROM users u
+        JOIN posts p ON p.user_id = u.id WHERE p.title LIKE ?`, ['Hello%']);
+    assert.deepStrictEqual(joined.map(row => row.title).sort(), ['Hello', 'Hello again']);
+
+    const active = await db.sql('SELECT user_id, COUNT(*) AS n FROM posts GROUP BY user_id HAVING COUNT(*) > ?', [1]);
+    assert.deepStrictEqual(active.map(row => [row.user_id, row.n]), [[1, 2]]);
+
+    assert.deepStrictEqual((await db.sql('SELECT name FROM users WHERE id IN (?)', [[2]])).map(row => row.name), ['bob']);
+});
+
+test('UPDATE and DELETE run through the table methods', async () => {
+    const db = open();
+    await createSchema(db);
+
+    const updated = await db.sql("UPDATE users SET age = ? WHERE name = 'bob'", [18]);
+    assert.deepStrictEqual(updated.map(row => row.age), [18]);
+
+    assert.deepStrictEqual(await db.sql('DELETE FROM users WHERE id = ?', [1]), { deletedCount: 1 });
+    assert.strictEqual(await db.count('posts'), 1);
+
+    await assert.rejects(db.sql('SELECT FROM users'), /SQL/);
+});
+
+test('statements read string literals the way SQL dumps write them', async () => {
+    const db = open();
+    await createSchema(db);
+
+    const [user] = await db.sql("INSERT INTO users (name, age) VALUES ('C:\\\\temp', 1)");
+    assert.strictEqual(user.name, 'C:\\temp');
+    assert.deepStrictEqual(await db.sql('SELECT "name" FROM users WHERE age = ?', [1]), [{ name: 'C:\\temp' }]);
+});
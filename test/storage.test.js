@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const FileStorage = require('../src/helpers/FileStorage');
+const MemoryStorage = require('../src/helpers/MemoryStorage');
+const TableDirectoryStorage = require('../src/helpers/TableDirectoryStorage');
+const { open, reopen, tempDir } = require('./helper');
+
+const adapters = {
+    MemoryStorage: () => new MemoryStorage(),
+    FileStorage: () => new FileStorage(tempDir())
+};
+
+for (const [name, create] of Object.entries(adapters)) {
+    test(`${name} reads, writes, lists and removes files`, async () => {
+        const storage = create();
+        assert.strictEqual(await storage.read('missing.json'), null);
+        assert.strictEqual(await storage.stat('missing.json'), null);
+
+        await storage.write('db.json', '{"a":1}');
+        await storage.write('backups/one.pulsea', 'first');
+        await storage.atomicReplace('backups/two.pulsea', 'second');
+        await storage.append('db.json.journal', 'x\n');
+        await storage.append('db.json.journal', 'y\n');
+
+        assert.strictEqual(await storage.read('db.json'), '{"a":1}');
+        assert.strictEqual(await storage.read('db.json.journal'), 'x\ny\n');
+        assert.strictEqual((await storage.stat('backups/two.pulsea')).size, 6);
+        assert.deepStrictEqual((await storage.list('backups')).sort(), ['one.pulsea', 'two.pulsea']);
+        assert.deepStrictEqual((await storage.list('')).sort(), ['db.json', 'db.json.journal']);
+        assert.deepStrictEqual(await storage.list('nowhere'), []);
+
+        await storage.atomicReplace('db.json', '{"a":2}');
+        assert.strictEqual(await storage.read('db.json'), '{"a":2}');
+
+        assert.strictEqual(await storage.remove('backups/one.pulsea'), true);
+        assert.strictEqual(await storage.remove('backups/one.pulsea'), false);
+        assert.deepStrictEqual(await storage.list('backups'), ['two.pulsea']);
+    });
+}
+
+test('TableDirectoryStorage round-trips data through a new instance', async () => {
+    const dir = tempDir();
+    const data = {
+        _meta: { keyId: 'abc' },
+        settings: 'sealed',
+        users: { _meta: { columns: ['name'] }, 1: { name: 'a' } },
+        posts: { _meta: { columns: ['title'] }, 1: { title: 'p' } }
+    };
+
+    const writer = new TableDirectoryStorage(dir, { file: 'db.json' });
+    await writer.atomicReplace('db.json', JSON.stringify(data));
+    delete data.posts;
+    data.users[2] = { name: 'b' };
+    await writer.atomicReplace('db.json', JSON.stringify(data));
+
+    const reader = new TableDirectoryStorage(dir, { file: 'db.json' });
+    assert.deepStrictEqual(JSON.parse(await reader.read('db.json')), data);
+    assert.ok((await reader.stat('db.json')).size > 0);
+
+    const generations = fs.readdirSync(path.join(dir, 'db')).filter(entry => entry.startsWith('gen-'));
+    assert.strictEqual(generations.length, 1);
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'db', generations[0], 'tables')), ['users.json']);
+});
+
+test('TableDirectoryStorage ignores a generation that was never switched to', async () => {
+    const dir = tempDir();
+    const storage = new TableDirectoryStorage(dir, { file: 'db.json' });
+    await storage.atomicReplace('db.json', JSON.stringify({ _meta: {}, key: 'v1' }));
+    fs.mkdirSync(path.join(dir, 'db', 'gen-partial'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'db', 'gen-partial', '_keys.json'), '{"key":"v2"}');
+
+    const reopened = new TableDirectoryStorage(dir, { file: 'db.json' });
+    assert.deepStrictEqual(JSON.parse(await reopened.read('db.json')), { _meta: {}, key: 'v1' });
+});
+
+test('databases on the tables layout reopen with their data', async () => {
+    const db = open({ storage: 'tables' });
+    await db.createTable({ name: 'users', columns: ['name'] });
+    await db.insert('users', { name: 'a' });
+    await db.set('settings', { theme: 'dark' });
+
+    const copy = reopen(db, { storage: 'tables' });
+    assert.deepStrictEqual((await copy.query('users', {})).map(row => row.name), ['a']);
+    assert.deepStrictEqual(await copy.get('settings'), { theme: 'dark' });
+});
+
+test(':memory: databases are isolated and never touch the disk', async () => {
+    const dir = path.join(os.tmpdir(), 'pulsea-never-created');
+    const first = open({ file: ':memory:', dir });
+    const second = open({ file: ':memory:', dir });
+    await first.set('value', 1);
+    await second.set('value', 2);
+    await first.backup();
+
+    assert.strictEqual(await first.get('value'), 1);
+    assert.strictEqual(await second.get('value'), 2);
+    assert.strictEqual(await reopen(first).get('value'), 1);
+    assert.strictEqual(fs.existsSync(dir), false);
+});
+
+test('the journal is replaced atomically on adapters without append', async () => {
+    const storage = new MemoryStorage();
+    storage.append = undefined;
+    const replaced = [];
+    const atomicReplace = storage.atomicReplace.bind(storage);
+    storage.atomicReplace = (name, content) => (replaced.push(name), atomicReplace(name, content));
+    const db = open({ file: 'db.json', storage, journal: true });
+    await db.set('a', 1);
+    await db.set('b', 2);
+
+    const entries = (await storage.read('db.json.journal')).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(entries.slice(-2).map(entry => entry.path), [['a'], ['b']]);
+    assert.ok(replaced.includes('db.json.journal'));
+    assert.strictEqual(await reopen(db).get('b'), 2);
+});
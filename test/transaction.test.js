@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open, reopen } = require('./helper');
+
+test('a transaction commits every staged write together', async () => {
+    const db = open();
+    await db.createTable({ name: 'orders', columns: ['amount', 'status'] });
+
+    await db.transaction(async (tx) => {
+        const order = await tx.insert('orders', { amount: 100, status: 'pending' });
+        await tx.update(`orders.${order.id}`, { status: 'completed' });
+        await tx.set('stats.orders', 1);
+    });
+
+    const copy = reopen(db);
+    assert.deepStrictEqual((await copy.query('orders', {})).map(order => order.status), ['completed']);
+    assert.strictEqual(await copy.get('stats.orders'), 1);
+});
+
+test('a failing transaction discards every staged write', async () => {
+    const db = open();
+    await db.createTable({ name: 'orders', columns: ['amount'] });
+    await db.set('stats.orders', 0);
+
+    await assert.rejects(db.transaction(async (tx) => {
+        await tx.insert('orders', { amount: 100 });
+        await tx.set('stats.orders', 1);
+        throw new Error('payment declined');
+    }), /payment declined/);
+
+    assert.strictEqual(await db.count('orders'), 0);
+    assert.strictEqual(await db.get('stats.orders'), 0);
+    assert.strictEqual(await reopen(db).get('stats.orders'), 0);
+});
+
+test('insertMany leaves nothing written when one row fails', async () => {
+    const db = open();
+    await db.createTable({ name: 'orders', columns: ['amount'] });
+
+    await assert.rejects(db.insertMany('orders', [{ amount: 1 }, { amount: 2 }, { missing: 3 }]), /Missing required columns/);
+    assert.strictEqual(await db.count('orders'), 0);
+});
+
+const createItems = async (db) => {
+    await db.createTable({ name: 'items', columns: ['name'], primaryKey: 'autoIncrement' });
+    await db.insert('items', { name: 'a' });
+};
+
+test('a commit aborts when a row it changed was written outside the transaction', async () => {
+    const db = open();
+    await createItems(db);
+
+    await assert.rejects(db.transaction(async (tx) => {
+        await tx.update('items.1', { name: 'from tx' });
+        await db.update('items.1', { name: 'live' });
+    }), /Transaction conflict: 'items.1'/);
+
+    assert.strictEqual((await db.get('items.1')).name, 'live');
+});
+
+test('a transactional insert and a live insert cannot take the same autoIncrement id', async () => {
+    const db = open();
+    await createItems(db);
+
+    await assert.rejects(db.transaction(async (tx) => {
+        await tx.insert('items', { name: 'from tx' });
+        await db.insert('items', { name: 'live' });
+    }), /Transaction conflict: 'items.2'/);
+
+    assert.strictEqual((await db.get('items.2')).name, 'live');
+    assert.strictEqual((await db.insert('items', { name: 'next' })).id, 3);
+});
+
+test('writes to different rows of the same table both survive a commit', async () => {
+    const db = open();
+    await createItems(db);
+    await db.insert('items', { name: 'b' });
+
+    await db.transaction(async (tx) => {
+        await tx.update('items.1', { name: 'from tx' });
+        await db.update('items.2', { name: 'live' });
+    });
+
+    assert.strictEqual((await db.get('items.1')).name, 'from tx');
+    assert.strictEqual((await db.get('items.2')).name, 'live');
+    assert.strictEqual((await db.query('items', {})).length, 2);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open } = require('./helper');
+
+const createMembers = async (db) => {
+    await db.createTable({
+        name: 'members',
+        columns: ['guildId', 'userId', 'email', 'role'],
+        validations: { email: { type: 'email', unique: true, nullable: true } },
+        unique: [{ name: 'guild_member', columns: ['guildId', 'userId'] }]
+    });
+    await db.insert('members', { guildId: 'g1', userId: 'u1', email: 'ann@example.com', role: 'user' });
+};
+
+test('single and composite constraints reject duplicate values on write', async () => {
+    const db = open();
+    await createMembers(db);
+
+    await assert.rejects(
+        db.insert('members', { guildId: 'g2', userId: 'u2', email: 'ann@example.com', role: 'user' }),
+        /Unique constraint 'email' violated/
+    );
+    await assert.rejects(
+        db.insert('members', { guildId: 'g1', userId: 'u1', email: 'bob@example.com', role: 'user' }),
+        /Unique constraint 'guild_member' violated/
+    );
+
+    const other = await db.insert('members', { guildId: 'g1', userId: 'u2', email: null, role: 'user' });
+    await db.insert('members', { guildId: 'g2', userId: 'u2', email: null, role: 'user' });
+    await assert.rejects(db.update(`members.${other.id}`, { userId: 'u1' }), /guild_member/);
+    await assert.rejects(db.updateMany('members', { userId: 'u2' }, { guildId: 'g3' }), /guild_member/);
+    assert.strictEqual(await db.count('members'), 3);
+});
+
+test('adding a constraint fails when existing rows violate it', async () => {
+    const db = open();
+    await createMembers(db);
+    await db.insert('members', { guildId: 'g1', userId: 'u2', email: 'bob@example.com', role: 'user' });
+
+    await assert.rejects(db.alterTable('members', { addUnique: [['guildId', 'role']] }), /Cannot add unique constraint 'guildId_role'/);
+    await db.alterTable('members', { dropUnique: ['guild_member'] });
+    await db.insert('members', { guildId: 'g1', userId: 'u1', email: 'cid@example.com', role: 'user' });
+    assert.strictEqual(await db.count('members', { guildId: 'g1', userId: 'u1' }), 2);
+});
+
+test('a rejected constraint leaves the rest of the alteration unapplied', async () => {
+    const db = open();
+    await createMembers(db);
+    await db.insert('members', { guildId: 'g1', userId: 'u2', email: 'bob@example.com', role: 'user' });
+
+    await assert.rejects(db.alterTable('members', {
+        addColumns: ['nickname'],
+        dropColumns: ['email'],
+        addIndexes: ['role'],
+        addUnique: [['guildId', 'role']]
+    }), /Cannot add unique constraint 'guildId_role'/);
+
+    const schema = await db.describe('members');
+    assert.deepStrictEqual(schema.columns.map(column => column.name), ['guildId', 'userId', 'email', 'role']);
+    assert.strictEqual(schema.columns.find(column => column.name === 'role').indexed, false);
+    const [ann] = await db.query('members', { where: { userId: 'u1' } });
+    assert.strictEqual(ann.email, 'ann@example.com');
+});
+
+test('upsert can target a named constraint', async () => {
+    const db = open();
+    await createMembers(db);
+
+    await db.upsert('members', { guildId: 'g1', userId: 'u1', email: 'ann@example.com', role: 'admin' }, 'guild_member');
+    const rows = await db.query('members', {});
+    assert.deepStrictEqual(rows.map(row => row.role), ['admin']);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { open } = require('./helper');
+
+const createUsers = async (db) => {
+    await db.createTable({
+        name: 'users',
+        columns: ['name', 'age', 'role', 'settings', 'tags', 'nickname'],
+        validations: { nickname: { optional: true } }
+    });
+    await db.insert('users', { name: 'John', age: 15, role: 'user', settings: { locale: 'en' }, tags: ['beta', 'new'], nickname: 'jj' });
+    await db.insert('users', { name: 'joan', age: 40, role: 'admin', settings: { locale: 'en' }, tags: ['beta'] });
+    await db.insert('users', { name: 'Mark', age: 30, role: 'user', settings: { locale: 'tr' }, tags: [] });
+};
+
+const names = rows => rows.map(row => row.name).sort();
+
+test('logical operators combine conditions', async () => {
+    const db = open();
+    await createUsers(db);
+
+    const where = { $or: [{ age: { $lt: 18 } }, { role: { $in: ['admin'] } }], $not: { name: 'joan' } };
+    assert.deepStrictEqual(names(await db.query('users', { where })), ['John']);
+    assert.deepStrictEqual(names(await db.query('users', { where: { age: { $not: { $gte: 30 } } } })), ['John']);
+});
+
+test('string, array and path operators match nested values', async () => {
+    const db = open();
+    await createUsers(db);
+
+    assert.deepStrictEqual(names(await db.query('users', { where: { 'settings.locale': 'en' } })), ['John', 'joan']);
+    assert.deepStrictEqual(names(await db.query('users', { where: { name: { $regex: '^jo', $options: 'i' } } })), ['John', 'joan']);
+    assert.deepStrictEqual(names(await db.query('users', { where: { name: /^m/i } })), ['Mark']);
+    assert.deepStrictEqual(names(await db.query('users', { where: { name: { $like: 'J_h%' } } })), ['John']);
+    assert.deepStrictEqual(names(await db.query('users', { where: { tags: { $contains: 'beta', $size: 2 } } })), ['John']);
+    assert.deepStrictEqual(names(await db.query('users', { where: { nickname: { $exists: false } } })), ['Mark', 'joan']);
+});
+
+test('filters are shared by count and updateMany, and unknown operators throw', async () => {
+    const db = open();
+    await createUsers(db);
+
+    assert.strictEqual(await db.count('users', { role: { $ne: 'admin' }, age: { $gt: 20 } }), 1);
+    await db.updateMany('users', { name: { $startsWith: 'JO', $options: 'i' } }, { role: 'member' });
+    assert.strictEqual(await db.count('users', { role: 'member' }), 2);
+
+    await assert.rejects(db.query('users', { where: { age: { $between: [1, 2] } } }), /\$between/);
+});